@@ -0,0 +1,239 @@
+import Database from 'better-sqlite3';
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Admin panel roles, weakest first - each role can do everything the ones before it can
+ * viewer: dashboard and read-only lists, operator: start/stop and moderation,
+ * owner: destructive actions (clear stats, restore backups) and managing accounts
+ */
+export const ADMIN_ROLES = ['viewer', 'operator', 'owner'];
+
+export const ADMIN_CONFIG = {
+    SESSION_TTL: 7 * 24 * 60 * 60 * 1000,   // sessions expire after a week without requests
+    MIN_PASSWORD_LENGTH: 8,
+    USERNAME_PATTERN: /^[A-Za-z0-9_.-]{3,32}$/,
+    SCRYPT_KEY_LENGTH: 64,
+    LOGIN_MAX_FAILURES: 5,                  // failed logins per address and username before a lockout
+    LOGIN_LOCKOUT: 15 * 60 * 1000,
+    BASIC_AUTH_CACHE_TTL: 60 * 1000,        // a verified Basic auth header skips scrypt for this long
+};
+
+/**
+ * True if `role` is at least `required`
+ */
+export function hasAdminRole(role, required) {
+    return ADMIN_ROLES.includes(role) && ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(required);
+}
+
+/**
+ * scrypt hash stored as "scrypt:<salt hex>:<key hex>"
+ */
+async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const key = await scryptAsync(password, salt, ADMIN_CONFIG.SCRYPT_KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, key] = stored.split(':');
+    if (scheme !== 'scrypt' || !salt || !key) return false;
+    const expected = Buffer.from(key, 'hex');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'hex'), expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+// Session tokens are stored hashed, a leaked database doesn't give working sessions
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * AdminAccounts - admin panel users and their login sessions
+ *
+ * Kept in its own SQLite file rather than stats.db, so restoring a stats backup
+ * or clearing the stats never rolls back or removes accounts.
+ */
+export class AdminAccounts {
+    constructor(dbPath) {
+        mkdirSync(dirname(dbPath), { recursive: true });
+        this.db = new Database(dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+    }
+
+    initialize() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS admin_users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL CHECK (role IN ('viewer', 'operator', 'owner')),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_login TIMESTAMP
+            )
+        `);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS admin_sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                FOREIGN KEY (user_id) REFERENCES admin_users(id) ON DELETE CASCADE
+            )
+        `);
+    }
+
+    countUsers() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM admin_users').get().count;
+    }
+
+    /**
+     * All users without their password hashes, by name
+     */
+    listUsers() {
+        return this.db.prepare(`
+            SELECT id, username, role, created_at, last_login
+            FROM admin_users
+            ORDER BY username COLLATE NOCASE
+        `).all();
+    }
+
+    getUser(username) {
+        return this.db.prepare('SELECT id, username, role, created_at, last_login FROM admin_users WHERE username = ?').get(username) || null;
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < ADMIN_CONFIG.MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${ADMIN_CONFIG.MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    validateRole(role) {
+        if (!ADMIN_ROLES.includes(role)) {
+            throw new Error(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+        }
+    }
+
+    async createUser(username, password, role) {
+        if (typeof username !== 'string' || !ADMIN_CONFIG.USERNAME_PATTERN.test(username)) {
+            throw new Error('Username must be 3-32 letters, digits, dots, dashes or underscores');
+        }
+        this.validatePassword(password);
+        this.validateRole(role);
+        if (this.getUser(username)) {
+            throw new Error(`User ${username} already exists`);
+        }
+
+        this.db.prepare('INSERT INTO admin_users (username, password_hash, role) VALUES (?, ?, ?)')
+            .run(username, await hashPassword(password), role);
+        console.log(`[Admin] Created ${role} account ${username}`);
+        return this.getUser(username);
+    }
+
+    /**
+     * Change the role of a user - the last owner can't be demoted
+     * Sessions stay valid, requests check the current role
+     */
+    setRole(username, role) {
+        this.validateRole(role);
+        const user = this.getUser(username);
+        if (!user) {
+            throw new Error(`User ${username} not found`);
+        }
+        if (user.role === 'owner' && role !== 'owner' && this.countOwners() === 1) {
+            throw new Error('The last owner cannot be demoted');
+        }
+
+        this.db.prepare('UPDATE admin_users SET role = ? WHERE id = ?').run(role, user.id);
+        console.log(`[Admin] ${user.username} is now ${role}`);
+        return { ...user, role };
+    }
+
+    /**
+     * Set a new password and end the user's sessions, except `keepToken` (the session that changed it)
+     */
+    async setPassword(username, password, keepToken = null) {
+        this.validatePassword(password);
+        const user = this.getUser(username);
+        if (!user) {
+            throw new Error(`User ${username} not found`);
+        }
+
+        this.db.prepare('UPDATE admin_users SET password_hash = ? WHERE id = ?').run(await hashPassword(password), user.id);
+        this.db.prepare('DELETE FROM admin_sessions WHERE user_id = ? AND token_hash != ?')
+            .run(user.id, keepToken ? hashToken(keepToken) : '');
+        console.log(`[Admin] Password changed for ${user.username}`);
+    }
+
+    /**
+     * Delete a user and their sessions - the last owner can't be deleted
+     */
+    deleteUser(username) {
+        const user = this.getUser(username);
+        if (!user) return false;
+        if (user.role === 'owner' && this.countOwners() === 1) {
+            throw new Error('The last owner cannot be deleted');
+        }
+
+        this.db.prepare('DELETE FROM admin_users WHERE id = ?').run(user.id);
+        console.log(`[Admin] Deleted account ${user.username}`);
+        return true;
+    }
+
+    countOwners() {
+        return this.db.prepare("SELECT COUNT(*) AS count FROM admin_users WHERE role = 'owner'").get().count;
+    }
+
+    /**
+     * The user if the password matches, otherwise null
+     */
+    async authenticate(username, password) {
+        if (typeof username !== 'string' || typeof password !== 'string') return null;
+        const row = this.db.prepare('SELECT * FROM admin_users WHERE username = ?').get(username);
+        if (!row || !(await verifyPassword(password, row.password_hash))) return null;
+        return this.getUser(row.username);
+    }
+
+    /**
+     * Start a session for a user, returns the token for the session cookie
+     */
+    createSession(user) {
+        const token = randomBytes(32).toString('hex');
+        this.db.prepare('DELETE FROM admin_sessions WHERE expires_at < ?').run(Date.now());
+        this.db.prepare('INSERT INTO admin_sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)')
+            .run(hashToken(token), user.id, Date.now() + ADMIN_CONFIG.SESSION_TTL);
+        this.db.prepare('UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+        return token;
+    }
+
+    /**
+     * User of a valid session (the expiry is pushed forward), or null
+     */
+    getSessionUser(token) {
+        if (!token) return null;
+        const row = this.db.prepare(`
+            SELECT u.id, u.username, u.role, u.created_at, u.last_login
+            FROM admin_sessions s
+            JOIN admin_users u ON u.id = s.user_id
+            WHERE s.token_hash = ? AND s.expires_at >= ?
+        `).get(hashToken(token), Date.now());
+        if (!row) return null;
+
+        this.db.prepare('UPDATE admin_sessions SET expires_at = ? WHERE token_hash = ?')
+            .run(Date.now() + ADMIN_CONFIG.SESSION_TTL, hashToken(token));
+        return row;
+    }
+
+    deleteSession(token) {
+        if (!token) return;
+        this.db.prepare('DELETE FROM admin_sessions WHERE token_hash = ?').run(hashToken(token));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
@@ -0,0 +1 @@
+export { ADMIN_CONFIG, ADMIN_ROLES, AdminAccounts, hasAdminRole } from './accounts.mjs';
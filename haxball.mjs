@@ -1,18 +1,57 @@
-import { chromium } from "playwright";
-import { HaxballStatsTracker } from "./stats/index.mjs";
+import { existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { HaxballStatsTracker, StatsDatabase, ReplayStore, ATTRIBUTION_CONFIG, createGoalAttribution, BALANCE_CONFIG, playerStrength, splitTeams,
+    ANALYTICS_CONFIG, createMatchAnalytics } from "./stats/index.mjs";
+import { DEFAULT_ROOM_SETTINGS, DEFAULT_STADIUMS, BALANCE_MODES, CUSTOM_STADIUM_PREFIX, PlaywrightDriver, SimulatedDriver, StadiumLibrary, roomScript,
+    ROLES, AUTO_ADMIN_ROLES, COMMAND_ROLES, hasRole } from "./room/index.mjs";
+import { WebhookDispatcher, WebhookStore } from "./webhooks/index.mjs";
+import { roomMetrics } from "./metrics/index.mjs";
 
 // The WebSocket endpoint for the existing Playwright server.
 const wsPath = process.env.WS_PATH;
 
+// "playwright" (default) runs the real headless page, "simulated" runs an offline HBInit
+const roomDriverType = process.env.ROOM_DRIVER || 'playwright';
+
+const statsDbPath = process.env.STATS_DB_PATH || './data/stats.db';
+
+// Custom .hbs stadiums uploaded through the admin panel
+const stadiumLibrary = new StadiumLibrary('./data/stadiums');
+
+// Outgoing webhooks (room link, stop, goals, match results) with their retry queue next to the targets file
+const webhooksPath = process.env.WEBHOOKS_PATH || './data/webhooks.json';
+const webhooks = new WebhookDispatcher(new WebhookStore(webhooksPath), join(dirname(webhooksPath), 'webhook-queue.json'));
+
+const RECONNECT = {
+    MAX_ATTEMPTS: 6,
+    BASE_DELAY: 2000,          // first retry after 2s, then doubled
+    MAX_DELAY: 60000,          // cap backoff at 1 minute
+    ROOM_LINK_TIMEOUT: 45000,  // no room link after this long => token probably expired
+    HEARTBEAT_INTERVAL: 15000,
+    HEARTBEAT_TIMEOUT: 10000,
+};
+
 let state = {
-    status: 'stopped', // Can be: stopped, starting, running, stopping, error
+    status: 'stopped', // Can be: stopped, starting, running, reconnecting, stopping, error
     status_message: 'Room is stopped.',
     room_url: null,
-    browser: null,
-    page: null,
+    runningSince: null,     // When the current room link was received (ms), for the uptime metric
+    driver: null,
     statsTracker: null,
+    roomSettings: null,
+    lastToken: null,        // Token used for the current room, reused on reconnect
+    needsToken: false,      // Reconnect is paused until a fresh token is provided
+    reconnectAttempt: 0,
+    live: null,             // Latest snapshot pushed by the room script (players, score, clock...)
 };
 
+let standaloneStatsDb = null;       // Connection while the room (and its tracker) is stopped
+let standaloneStatsDbMigrated = false; // initialize() ran on it, see getAdminStatsDatabase()
+
+let recoveryGeneration = 0;   // Bumped on stop() to abort a reconnect loop in progress
+let roomLinkWaiter = null;    // Resolver used by waitForRoomLink()
+let watchdogTimer = null;
+
 let onStateUpdate = () => {}; // Placeholder for the callback
 
 export function setStateUpdateCallback(callback) {
@@ -32,6 +71,11 @@ export function getRoomState() {
         status: state.status,
         status_message: state.status_message,
         room_url: state.room_url,
+        room_settings: state.roomSettings,
+        running_since: state.runningSince,
+        needs_token: state.needsToken,
+        reconnect_attempt: state.reconnectAttempt,
+        live: state.live,
     };
 }
 
@@ -39,467 +83,689 @@ export function getStatsTracker() {
     return state.statsTracker;
 }
 
-async function initializeRoom(token = null) {
-    if (!state.page) return;
-
-    await state.page.exposeFunction("onRoomLinkSet", (url) => {
-        console.log("==================================================");
-        console.log(`🎉 Haxball Room URL: ${url}`);
-        console.log("==================================================");
-        updateState({ room_url: url, status: 'running', status_message: 'Room is running successfully!' });
-    });
+/**
+ * Stats database for reads (public API, admin panel lists): the tracker's connection while the room runs,
+ * otherwise a standalone one opened as it is - migrations never run from here, an unauthenticated
+ * request can't change the schema. Null if no stats were ever recorded
+ */
+export function getStatsDatabase() {
+    if (state.statsTracker) {
+        return state.statsTracker.db;
+    }
+    if (!standaloneStatsDb) {
+        if (!existsSync(statsDbPath)) return null;
+        standaloneStatsDb = new StatsDatabase(statsDbPath);
+    }
+    return standaloneStatsDb;
+}
 
-    updateState({ status_message: 'Initializing Haxball room...' });
+/**
+ * Stats database for admin changes while the room may be stopped (bans, roles, backups):
+ * created if needed and migrated to the current schema
+ */
+export function getAdminStatsDatabase() {
+    if (state.statsTracker) {
+        return state.statsTracker.db;
+    }
+    if (!standaloneStatsDb) {
+        mkdirSync(dirname(statsDbPath), { recursive: true });
+        standaloneStatsDb = new StatsDatabase(statsDbPath);
+    }
+    if (!standaloneStatsDbMigrated) {
+        standaloneStatsDb.initialize();
+        standaloneStatsDbMigrated = true;
+    }
+    return standaloneStatsDb;
+}
 
-    const roomConfig = {
-        roomName: "Jules's Awesome Haxball Room",
-        maxPlayers: 12,
-        public: false,
-        noPlayer: true,
-        token: token, // Pass the token here
-    };
+/**
+ * Bring an existing stats database up to the current schema - called once at server startup,
+ * so public reads don't depend on an admin action having migrated it first
+ */
+export function migrateStatsDatabase() {
+    if (existsSync(statsDbPath)) {
+        getAdminStatsDatabase();
+    }
+}
 
-    await state.page.evaluate((config) => {
-        const room = window.HBInit(config);
-        room.setDefaultStadium("Rounded");
-        room.setScoreLimit(0);
-        room.setTimeLimit(3);
-        room.onRoomLink = (url) => window.onRoomLinkSet(url);
-
-        // Stats tracking state
-        const ASSIST_TIME_WINDOW = 3000; // 3 seconds
-        let gameState = {
-            isGameRunning: false,
-            lastTouches: [], // { playerId, playerAuth, playerName, playerTeam, timestamp }
-            matchGoals: {}, // { auth: { name, team, goals, assists } }
-            playerAuthMap: {}, // Map player.id -> { auth, name } (room.getPlayerList() doesn't include auth)
-            finalScores: null, // Saved from onTeamVictory, null if draw/stopped early
-        };
+/**
+ * Match replays next to the stats database (the files the tracker stores), readable while the room is stopped
+ */
+export function getReplayStore() {
+    return state.statsTracker ? state.statsTracker.replays : new ReplayStore(join(dirname(statsDbPath), 'replays'));
+}
 
-        // Admin management logic
-        function updateAdmins() {
-            const players = room.getPlayerList();
-            if (players.length > 0 && !players.some(p => p.admin)) {
-                room.setPlayerAdmin(players[0].id, true);
-            }
-        }
+/**
+ * Restore a stats backup while the room is stopped: the standalone connection is closed first, the restored
+ * database is migrated (it may predate the current schema) and the replay files are brought in line with it
+ */
+export async function restoreStatsBackup(filename) {
+    if (state.statsTracker) {
+        throw new Error('Stop the room before restoring a backup.');
+    }
+    closeStandaloneStatsDb();
 
-        // Helper: Record ball touch/kick for assist tracking
-        function recordBallTouch(player) {
-            if (!gameState.isGameRunning) return;
-            if (player.team === 0) return; // Skip spectators
+    mkdirSync(dirname(statsDbPath), { recursive: true });
+    const db = new StatsDatabase(statsDbPath);
+    let result;
+    try {
+        result = await db.restoreBackup(filename);
+        db.initialize();
+    } catch (error) {
+        db.close();
+        throw error;
+    }
+    standaloneStatsDb = db;
+    standaloneStatsDbMigrated = true;
 
-            const authData = gameState.playerAuthMap[player.id];
-            if (!authData) return; // Skip players without auth
+    getReplayStore().reconcile(db);
+    return result;
+}
 
-            const lastTouch = gameState.lastTouches[gameState.lastTouches.length - 1];
+/**
+ * Close the current season and open a new one, while the room is stopped too
+ */
+export function startNewSeason(name = null) {
+    return HaxballStatsTracker.startNewSeason(getAdminStatsDatabase(), name);
+}
 
-            // Record if it's a different player or enough time has passed (150ms throttle for same player)
-            if (!lastTouch || lastTouch.playerId !== player.id || Date.now() - lastTouch.timestamp > 150) {
-                gameState.lastTouches.push({
-                    playerId: player.id,
-                    playerAuth: authData.auth,
-                    playerName: player.name,
-                    playerTeam: player.team,
-                    timestamp: Date.now(),
-                });
+/**
+ * The tracker takes over the database, or a restored backup replaces it - only one connection at a time
+ */
+function closeStandaloneStatsDb() {
+    if (!standaloneStatsDb) return;
+    try {
+        standaloneStatsDb.close();
+    } catch (e) {
+        console.error("Ignoring error while closing standalone stats database:", e.message);
+    }
+    standaloneStatsDb = null;
+    standaloneStatsDbMigrated = false;
+}
 
-                // Keep last 10 touches (enough for deflections + assist detection)
-                // We need more than 2 to handle deflections properly
-                if (gameState.lastTouches.length > 10) {
-                    gameState.lastTouches.shift();
-                }
-            }
-        }
+export function getRoomDriver() {
+    return state.driver;
+}
 
-        // Player join
-        room.onPlayerJoin = (player) => {
-            updateAdmins();
+export function getWebhooks() {
+    return webhooks;
+}
 
-            // Store player auth mapping (room.getPlayerList() doesn't include auth)
-            if (player.auth) {
-                gameState.playerAuthMap[player.id] = {
-                    auth: player.auth,
-                    name: player.name,
-                };
-            }
+export function getStadiumLibrary() {
+    return stadiumLibrary;
+}
 
-            // Only track players with valid auth (can be null if validation fails)
-            if (window.statsOnPlayerJoin && player.auth) {
-                window.statsOnPlayerJoin(player.auth, player.name);
-            } else if (!player.auth) {
-                console.log(`[Stats] Player joined without auth: ${player.name} (id: ${player.id})`);
-            }
-        };
+/**
+ * Run one of the window.roomCommands defined by the room script
+ * Commands report problems as { error }, which is thrown here
+ */
+async function runRoomCommand(name, ...args) {
+    if (state.status !== 'running' || !state.driver) {
+        throw new Error('Room is not running.');
+    }
 
-        // Player leave
-        room.onPlayerLeave = (player) => {
-            updateAdmins();
+    const result = await state.driver.evaluate(
+        ({ name, args }) => window.roomCommands[name](...args),
+        { name, args }
+    );
+    if (result && result.error) {
+        throw new Error(result.error);
+    }
+    return result;
+}
 
-            // Remove from auth mapping
-            if (gameState.playerAuthMap[player.id]) {
-                delete gameState.playerAuthMap[player.id];
-            }
+/**
+ * Switch the stadium of the running room
+ * `stadium` is a built-in name or "custom:<id>" from the stadium library
+ */
+export async function setStadium(stadium) {
+    const { name, contents } = stadiumLibrary.resolve(stadium);
+    if (!contents && !DEFAULT_STADIUMS.includes(name)) {
+        throw new Error(`Unknown stadium "${stadium}".`);
+    }
 
-            if (window.statsOnPlayerLeave && player.auth) {
-                window.statsOnPlayerLeave(player.auth);
-            }
-        };
+    await runRoomCommand('setStadium', name, contents);
+    // Keep it for reconnects
+    updateState({ roomSettings: { ...state.roomSettings, stadium } });
+    console.log(`[Stadiums] Active stadium: ${name}`);
+    return name;
+}
 
-        // Game start
-        room.onGameStart = (byPlayer) => {
-            gameState.isGameRunning = true;
-            gameState.lastTouches = [];
-            gameState.matchGoals = {};
-            gameState.finalScores = { red: 0, blue: 0 }; // Initialize to 0:0 for draw tracking
-
-            const allPlayers = room.getPlayerList();
-
-            // Debug: Log all players and their state
-            console.log(`[Stats] Game starting - Total players in room: ${allPlayers.length}`);
-            allPlayers.forEach(p => {
-                const authData = gameState.playerAuthMap[p.id];
-                console.log(`  - Player: ${p.name}, Team: ${p.team}, HasAuth: ${!!authData}, ID: ${p.id}, Auth: ${authData?.auth || 'none'}`);
-            });
-
-            // Only include players with valid auth and in a team (use playerAuthMap)
-            const players = allPlayers
-                .filter(p => p.team !== 0 && gameState.playerAuthMap[p.id])
-                .map(p => {
-                    const authData = gameState.playerAuthMap[p.id];
-                    return {
-                        auth: authData.auth,
-                        name: p.name,
-                        team: p.team,
-                    };
-                });
+/**
+ * Switch team balancing of the running room ("off" or "auto")
+ */
+export async function setBalanceMode(mode) {
+    if (!BALANCE_MODES.includes(mode)) {
+        throw new Error(`Balance mode must be one of: ${BALANCE_MODES.join(', ')}.`);
+    }
 
-            // Initialize match goals tracker
-            players.forEach(p => {
-                gameState.matchGoals[p.auth] = {
-                    name: p.name,
-                    team: p.team,
-                    goals: 0,
-                    assists: 0
-                };
-            });
-
-            if (players.length === 0) {
-                console.log('[Stats] WARNING: Match starting with 0 tracked players (all players lack auth or are spectators)');
-            }
+    await runRoomCommand('setBalanceMode', mode);
+    // Keep it for reconnects
+    updateState({ roomSettings: { ...state.roomSettings, balanceMode: mode } });
+    console.log(`[Balance] Balance mode: ${mode}`);
+    return mode;
+}
 
-            // Announcement: Match started
-            room.sendAnnouncement('🏁 MECZ ROZPOCZĘTY!', null, 0xFFFFFF, 'bold', 2);
-            room.sendAnnouncement('🔴 Red vs Blue 🔵', null, 0xFFFFFF, 'normal', 1);
+/**
+ * Players currently in the room: [{ id, name, team, admin, muted, tracked }]
+ */
+export async function listPlayers() {
+    return await runRoomCommand('listPlayers');
+}
 
-            if (window.statsOnGameStart) {
-                window.statsOnGameStart(players);
-            }
-        };
+/**
+ * Kick a player from the room, `ban` keeps them out until the room restarts
+ */
+export async function kickPlayer(playerId, reason = '', ban = false) {
+    const { name } = await runRoomCommand('kickPlayer', playerId, String(reason).slice(0, 100), ban);
+    console.log(`[Moderation] ${ban ? 'Banned' : 'Kicked'} ${name} (#${playerId})${reason ? `: ${reason}` : ''}`);
+    return name;
+}
 
-        // Game stop
-        room.onGameStop = (byPlayer) => {
-            if (!gameState.isGameRunning) return;
-            gameState.isGameRunning = false;
+/**
+ * Move a player to a team (0 = spectators, 1 = red, 2 = blue)
+ */
+export async function movePlayer(playerId, team) {
+    if (![0, 1, 2].includes(team)) {
+        throw new Error('Team must be 0 (spectators), 1 (red) or 2 (blue).');
+    }
+    const { name } = await runRoomCommand('movePlayer', playerId, team);
+    console.log(`[Moderation] Moved ${name} (#${playerId}) to team ${team}`);
+    return name;
+}
 
-            console.log(`[Stats] [2/2] onGameStop fired - finalScores available: ${!!gameState.finalScores}`);
+/**
+ * Give or take away room admin
+ */
+export async function setPlayerAdmin(playerId, admin) {
+    const { name } = await runRoomCommand('setPlayerAdmin', playerId, admin);
+    console.log(`[Moderation] ${admin ? 'Gave' : 'Removed'} admin ${admin ? 'to' : 'from'} ${name} (#${playerId})`);
+    return name;
+}
 
-            // Use scores from onTeamVictory (getScores() returns null after game ends)
-            // If no victory (draw/stopped early), try getScores() as fallback
-            let scores = gameState.finalScores || room.getScores();
+/**
+ * Mute or unmute a player - muted players' chat messages are dropped by the room script
+ */
+export async function setPlayerMuted(playerId, muted) {
+    const { name } = await runRoomCommand('setPlayerMuted', playerId, muted);
+    console.log(`[Moderation] ${muted ? 'Muted' : 'Unmuted'} ${name} (#${playerId})`);
+    return name;
+}
 
-            if (!scores) {
-                console.log('[Stats] ERROR: No scores available in onGameStop (game stopped early or draw?)');
-                return;
-            }
+/**
+ * Bans and roles are rows in the stats database, so they can be managed while the room is stopped -
+ * only kicking and in-room admin rights wait for a running room
+ */
+function getModerationDatabase() {
+    return getAdminStatsDatabase();
+}
 
-            console.log(`[Stats] Using scores - Red: ${scores.red}, Blue: ${scores.blue}, Source: ${gameState.finalScores ? 'onTeamVictory/onTeamGoal' : 'getScores()'}`);
+function formatBanReason(ban) {
+    const until = ban.expires_at ? ` (do ${ban.expires_at} UTC)` : '';
+    return `🚫 Ban: ${ban.reason || 'brak powodu'}${until}`.slice(0, 100);
+}
 
+/**
+ * Returns the kick reason when a joining player is banned, null otherwise
+ */
+function checkBan(auth, conn) {
+    if (!state.statsTracker || (!auth && !conn)) return null;
 
-            const allPlayers = room.getPlayerList();
+    const ban = state.statsTracker.db.findActiveBan(auth, conn);
+    if (!ban) return null;
 
-            // Only include players with valid auth (use playerAuthMap)
-            const redPlayers = allPlayers
-                .filter(p => p.team === 1 && gameState.playerAuthMap[p.id])
-                .map(p => {
-                    const authData = gameState.playerAuthMap[p.id];
-                    return {
-                        auth: authData.auth,
-                        name: p.name,
-                    };
-                });
+    console.log(`[Moderation] Kicked banned player ${ban.name || auth || conn} (ban #${ban.id})`);
+    return formatBanReason(ban);
+}
 
-            const bluePlayers = allPlayers
-                .filter(p => p.team === 2 && gameState.playerAuthMap[p.id])
-                .map(p => {
-                    const authData = gameState.playerAuthMap[p.id];
-                    return {
-                        auth: authData.auth,
-                        name: p.name,
-                    };
-                });
+function validateBanMinutes(minutes) {
+    if (minutes === undefined || minutes === null || minutes === '') return null;
+    const value = Number(minutes);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error('Ban duration must be a whole number of minutes (0 = permanent).');
+    }
+    return value || null;
+}
 
-            // Announcement: Match ended
-            room.sendAnnouncement('🏁 KONIEC MECZU!', null, 0xFFFFFF, 'bold', 2);
-            room.sendAnnouncement(`🔴 Red ${scores.red} - ${scores.blue} Blue 🔵`, null, 0xFFFFFF, 'bold', 1);
+/**
+ * Ban a player who is in the room (by auth and conn) and kick them
+ * `minutes` null/0 = permanent
+ */
+export async function banPlayer(playerId, { reason = null, minutes = null, bannedBy = 'admin panel' } = {}) {
+    const duration = validateBanMinutes(minutes);
+    const identity = await runRoomCommand('getPlayerIdentity', playerId);
+    const ban = getModerationDatabase().addBan({
+        auth: identity.auth,
+        conn: identity.conn,
+        name: identity.name,
+        reason: reason ? String(reason).slice(0, 100) : null,
+        bannedBy,
+        minutes: duration,
+    });
 
-            // Get top scorers from each team
-            const redScorers = Object.values(gameState.matchGoals)
-                .filter(p => p.team === 1 && p.goals > 0)
-                .sort((a, b) => b.goals - a.goals);
+    await runRoomCommand('kickPlayer', playerId, formatBanReason(ban), false);
+    console.log(`[Moderation] Banned ${identity.name} (#${playerId}) ${duration ? `for ${duration} min` : 'permanently'} by ${bannedBy}`);
+    return ban;
+}
 
-            const blueScorers = Object.values(gameState.matchGoals)
-                .filter(p => p.team === 2 && p.goals > 0)
-                .sort((a, b) => b.goals - a.goals);
+/**
+ * Ban by auth/conn, or by the name of a player known to the stats database
+ * Players matching the ban who are in the room right now are kicked
+ */
+export async function addBan({ auth = null, conn = null, name = null, reason = null, minutes = null, bannedBy = 'admin panel' }) {
+    const duration = validateBanMinutes(minutes);
+    const db = getModerationDatabase();
+
+    if (!auth && !conn && name) {
+        const player = db.getPlayerByName(name);
+        if (!player) {
+            throw new Error(`Player "${name}" not found in stats. Use auth or conn instead.`);
+        }
+        auth = player.auth;
+        name = player.name;
+    }
+    if (!auth && !conn) {
+        throw new Error('Player name, auth or conn is required.');
+    }
 
-            // Display top scorers
-            if (redScorers.length > 0 || blueScorers.length > 0) {
-                room.sendAnnouncement('⚽ Top strzelcy:', null, 0xFFFFFF, 'normal', 1);
+    const ban = db.addBan({
+        auth,
+        conn,
+        name,
+        reason: reason ? String(reason).slice(0, 100) : null,
+        bannedBy,
+        minutes: duration,
+    });
+    console.log(`[Moderation] Added ban #${ban.id} for ${name || auth || conn} ${duration ? `for ${duration} min` : 'permanently'} by ${bannedBy}`);
 
-                if (redScorers.length > 0) {
-                    const redText = redScorers.map(p => `${p.name} (${p.goals})`).join(', ');
-                    room.sendAnnouncement(`  Red: ${redText}`, null, 0xFFFFFF, 'normal', 0);
-                }
+    if (state.status === 'running') {
+        await runRoomCommand('kickByIdentity', auth, conn, formatBanReason(ban));
+    }
+    return ban;
+}
 
-                if (blueScorers.length > 0) {
-                    const blueText = blueScorers.map(p => `${p.name} (${p.goals})`).join(', ');
-                    room.sendAnnouncement(`  Blue: ${blueText}`, null, 0xFFFFFF, 'normal', 0);
-                }
-            }
+/**
+ * Active bans, newest first
+ */
+export function listBans() {
+    return getModerationDatabase().listBans();
+}
 
-            if (window.statsOnGameStop) {
-                window.statsOnGameStop({
-                    scoreRed: scores.red,
-                    scoreBlue: scores.blue,
-                    redPlayers,
-                    bluePlayers,
-                });
-            }
-        };
+/**
+ * Lift a ban, returns the removed ban
+ */
+export function removeBan(banId) {
+    const ban = getModerationDatabase().removeBan(banId);
+    if (!ban) {
+        throw new Error(`Ban #${banId} not found.`);
+    }
+    console.log(`[Moderation] Removed ban #${banId} (${ban.name || ban.auth || ban.conn})`);
+    return ban;
+}
 
-        // Team goal
-        room.onTeamGoal = (team) => {
-            // Find scorer - look for last touch by scoring team (ignore deflections)
-            let scorer = null;
-            let assister = null;
-
-            if (gameState.lastTouches.length > 0) {
-                const now = Date.now();
-
-                // Find all touches from the scoring team within the time window
-                const scoringTeamTouches = gameState.lastTouches.filter(touch =>
-                    touch.playerTeam === team && (now - touch.timestamp) <= ASSIST_TIME_WINDOW
-                );
-
-                if (scoringTeamTouches.length > 0) {
-                    // Last touch from scoring team is the scorer
-                    const lastScoringTouch = scoringTeamTouches[scoringTeamTouches.length - 1];
-                    scorer = {
-                        auth: lastScoringTouch.playerAuth,
-                        name: lastScoringTouch.playerName,
-                        team: lastScoringTouch.playerTeam,
-                    };
-
-                    // Find assister (second-to-last touch from scoring team, different player)
-                    if (scoringTeamTouches.length > 1) {
-                        const secondLastScoringTouch = scoringTeamTouches[scoringTeamTouches.length - 2];
-                        const timeDiff = now - secondLastScoringTouch.timestamp;
-                        const isSamePlayer = secondLastScoringTouch.playerId === lastScoringTouch.playerId;
-
-                        if (timeDiff <= ASSIST_TIME_WINDOW && !isSamePlayer) {
-                            assister = {
-                                auth: secondLastScoringTouch.playerAuth,
-                                name: secondLastScoringTouch.playerName,
-                            };
-                        }
-                    }
-                } else {
-                    // No touch from scoring team - check if it's an own goal
-                    const lastTouch = gameState.lastTouches[gameState.lastTouches.length - 1];
-                    if (lastTouch.playerTeam !== team) {
-                        scorer = {
-                            auth: lastTouch.playerAuth,
-                            name: lastTouch.playerName,
-                            team: lastTouch.playerTeam,
-                        };
-                        console.log('[Stats] Own goal detected: ' + scorer.name + ' (team ' + scorer.team + ') scored for team ' + team);
-                    } else {
-                        console.log('[Stats] Warning: No valid touches found for goal (team: ' + team + ')');
-                    }
-                }
-            } else {
-                console.log('[Stats] Warning: No ball touches recorded before goal (team: ' + team + ')');
-            }
+/**
+ * Parse an in-room ban duration: "30" / "30m" minutes, "2h" hours, "7d" days
+ */
+function parseBanDuration(text) {
+    const match = /^(\d+)([mhd]?)$/i.exec(text || '');
+    if (!match) return null;
+    const multiplier = { '': 1, m: 1, h: 60, d: 1440 }[match[2].toLowerCase()];
+    return parseInt(match[1], 10) * multiplier;
+}
 
-            // Track goals for match summary
-            const isOwnGoal = scorer && scorer.team !== team;
-            if (scorer && !isOwnGoal && gameState.matchGoals[scorer.auth]) {
-                gameState.matchGoals[scorer.auth].goals++;
-            }
-            if (assister && gameState.matchGoals[assister.auth]) {
-                gameState.matchGoals[assister.auth].assists++;
-            }
+/**
+ * Find a player in the room by "#id" or by (the start of) their name
+ */
+async function findPlayerByTarget(target) {
+    const players = await listPlayers();
+    if (target.startsWith('#')) {
+        return players.find(p => p.id === parseInt(target.slice(1), 10)) || null;
+    }
 
-            // Get current score for announcement (and save for onGameStop)
-            const scores = room.getScores();
-            if (scores) {
-                gameState.finalScores = scores; // Keep updating latest scores
-            }
-            const scoreText = scores ? `🔴 Red ${scores.red} - ${scores.blue} Blue 🔵` : 'Score unavailable';
-
-            // Announcement: Goal
-            if (isOwnGoal) {
-                room.sendAnnouncement(`😱 SAMOBÓJ! ${scorer.name}`, null, 0xFFFFFF, 'bold', 2);
-            } else if (scorer) {
-                let goalText = `⚽ GOOOL! ${scorer.name}`;
-                if (assister && !assister.isSelf) {
-                    goalText += ` - asysta: ${assister.name}`;
-                }
-                room.sendAnnouncement(goalText, null, 0xFFFFFF, 'bold', 2);
-            }
-            room.sendAnnouncement(scoreText, null, 0xFFFFFF, 'normal', 1);
+    const query = target.toLowerCase();
+    const exact = players.find(p => p.name.toLowerCase() === query);
+    if (exact) return exact;
+    const matches = players.filter(p => p.name.toLowerCase().startsWith(query));
+    return matches.length === 1 ? matches[0] : null;
+}
 
-            if (window.statsOnTeamGoal) {
-                window.statsOnTeamGoal(team, scorer, assister);
-            }
-        };
+/**
+ * Resolve the target of a moderation command, returns { id, name, auth, conn }
+ * Throws (with the in-room reply) for yourself and for players with the same or a higher role
+ */
+async function findModerationTarget(playerId, role, targetArg) {
+    const target = await findPlayerByTarget(targetArg);
+    if (!target) throw new Error(`Nie znaleziono gracza: ${targetArg}`);
+    if (target.id === playerId) throw new Error('Nie możesz tego zrobić samemu sobie');
+
+    const identity = await runRoomCommand('getPlayerIdentity', target.id);
+    const targetRole = identity.auth ? getModerationDatabase().getRole(identity.auth) : 'player';
+    if (role !== 'owner' && hasRole(targetRole, role)) {
+        throw new Error(`${identity.name} ma rolę ${targetRole}`);
+    }
+    return identity;
+}
 
-        // Team victory - save final scores
-        room.onTeamVictory = (scores) => {
-            // Save scores for onGameStop (getScores() returns null after game ends)
-            gameState.finalScores = scores;
-            console.log(`[Stats] [1/2] onTeamVictory fired - Red: ${scores.red}, Blue: ${scores.blue}`);
-        };
+/**
+ * In-room ban commands: !ban <#id|nick> [czas] [powód], !unban <nr bana>, !bans
+ */
+async function handleBanCommand(playerId, role, command, args) {
+    if (command === '!bans') {
+        const bans = listBans();
+        if (bans.length === 0) return '✅ Brak aktywnych banów';
+        const lines = bans.slice(0, 10).map(ban =>
+            `#${ban.id} ${ban.name || ban.auth || ban.conn} - ${ban.reason || 'brak powodu'}${ban.expires_at ? ` (do ${ban.expires_at})` : ' (na zawsze)'}`
+        );
+        return `🚫 Bany (${bans.length}):\n${lines.join('\n')}`;
+    }
 
-        // Player ball kick - track kicks (passes, shots)
-        room.onPlayerBallKick = (player) => {
-            recordBallTouch(player);
-        };
+    if (command === '!unban') {
+        const banId = parseInt((args[0] || '').replace('#', ''), 10);
+        if (!banId) return '❌ Użycie: !unban <nr bana> (lista: !bans)';
+        const ban = removeBan(banId);
+        return `✅ Zdjęto bana #${banId} (${ban.name || ban.auth || ban.conn})`;
+    }
 
-        // Game tick - track ball touches (deflections, dribbling)
-        room.onGameTick = () => {
-            if (!gameState.isGameRunning) return;
+    // !ban
+    if (!args[0]) return '❌ Użycie: !ban <#id|nick> [czas: 30m/2h/7d] [powód]';
+    const target = await findModerationTarget(playerId, role, args[0]);
+    const minutes = parseBanDuration(args[1]);
+    const reason = args.slice(minutes === null ? 1 : 2).join(' ').trim() || null;
+    const admin = await runRoomCommand('getPlayerIdentity', playerId);
+    await banPlayer(target.id, { reason, minutes, bannedBy: admin.name });
+    return `🚫 ${target.name} zbanowany ${minutes ? `na ${args[1]}` : 'na zawsze'}`;
+}
 
-            const ballPosition = room.getBallPosition();
-            const players = room.getPlayerList();
-            const touchRadius = 15 + 10; // player radius + ball radius
+/**
+ * !stadiums lists stadiums, !stadium <nazwa> switches to one
+ */
+async function handleStadiumCommand(command, argument) {
+    if (command === '!stadiums') {
+        const custom = stadiumLibrary.list().map(s => s.name);
+        return `🏟️ Stadiony: ${[...DEFAULT_STADIUMS, ...custom].join(', ')}`;
+    }
 
-            // Find the closest player touching the ball
-            let closestPlayer = null;
-            let closestDistance = touchRadius;
+    if (!argument) {
+        return '❌ Użycie: !stadium <nazwa>';
+    }
 
-            for (const player of players) {
-                if (player.team === 0) continue; // Skip spectators
+    // Match by name (case-insensitive), custom stadiums first
+    const custom = stadiumLibrary.list().find(s => s.name.toLowerCase() === argument.toLowerCase() || s.id === argument.toLowerCase());
+    const builtIn = DEFAULT_STADIUMS.find(s => s.toLowerCase() === argument.toLowerCase());
+    if (!custom && !builtIn) {
+        return `❌ Nieznany stadion: ${argument} (lista: !stadiums)`;
+    }
 
-                const playerDisc = room.getPlayerDiscProperties(player.id);
-                if (!playerDisc) continue;
+    const name = await setStadium(custom ? `${CUSTOM_STADIUM_PREFIX}${custom.id}` : builtIn);
+    return `🏟️ Stadion zmieniony na: ${name}`;
+}
 
-                // Calculate distance between player and ball
-                const dx = playerDisc.x - ballPosition.x;
-                const dy = playerDisc.y - ballPosition.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
+/**
+ * In-room admin commands (COMMAND_ROLES in room/roles.mjs), routed here through
+ * HaxballStatsTracker.handlePlayerChat - the reply is shown to the sender only
+ */
+async function handleAdminCommand(auth, playerId, message) {
+    const [rawCommand, ...args] = message.split(' ').filter(Boolean);
+    const command = rawCommand.toLowerCase();
+
+    const role = getModerationDatabase().getRole(auth);
+    const requiredRole = COMMAND_ROLES[command];
+    if (!hasRole(role, requiredRole)) {
+        return `❌ Brak uprawnień (wymagana rola: ${requiredRole})`;
+    }
 
-                // Track closest player within touch radius
-                if (distance < closestDistance) {
-                    closestDistance = distance;
-                    closestPlayer = player;
-                }
+    try {
+        switch (command) {
+            case '!stadium':
+            case '!stadiums':
+                return await handleStadiumCommand(command, args.join(' ').trim());
+
+            case '!ban':
+            case '!unban':
+            case '!bans':
+                return await handleBanCommand(playerId, role, command, args);
+
+            case '!kick': {
+                if (!args[0]) return '❌ Użycie: !kick <#id|nick> [powód]';
+                const target = await findModerationTarget(playerId, role, args[0]);
+                await kickPlayer(target.id, args.slice(1).join(' '));
+                return `👢 ${target.name} wyrzucony`;
             }
 
-            // Record touch for the closest player only
-            if (closestPlayer) {
-                recordBallTouch(closestPlayer);
+            case '!mute':
+            case '!unmute': {
+                if (!args[0]) return `❌ Użycie: ${command} <#id|nick>`;
+                const target = await findModerationTarget(playerId, role, args[0]);
+                await setPlayerMuted(target.id, command === '!mute');
+                return command === '!mute' ? `🔇 ${target.name} wyciszony` : `🔊 ${target.name} może znowu pisać`;
             }
-        };
 
-        // Player chat - handle commands
-        room.onPlayerChat = (player, message) => {
-            if (!message.startsWith('!')) return true;
+            case '!swap':
+                await runRoomCommand('swapTeams');
+                return '🔄 Drużyny zamienione';
 
-            // Only handle commands from players with valid auth (use playerAuthMap)
-            const authData = gameState.playerAuthMap[player.id];
-            if (!authData) {
-                room.sendAnnouncement('❌ Statystyki niedostępne (brak auth)', player.id, 0xFFFFFF, "normal", 0);
-                return false;
+            case '!rr':
+                await runRoomCommand('restartGame');
+                return '🔁 Mecz zrestartowany';
+
+            case '!balance': {
+                const mode = (args[0] || '').toLowerCase();
+                if (mode) {
+                    if (!BALANCE_MODES.includes(mode)) return `❌ Użycie: !balance [${BALANCE_MODES.join('|')}]`;
+                    await setBalanceMode(mode);
+                    return mode === 'auto' ? '⚖️ Auto-balans włączony' : '⚖️ Auto-balans wyłączony';
+                }
+                const { red, blue } = await runRoomCommand('balanceTeams');
+                return `⚖️ Drużyny zbalansowane (${red} vs ${blue})`;
             }
 
-            if (window.statsOnPlayerChat) {
-                // Echo command in gray
-                room.sendAnnouncement(`> ${message}`, null, 0xAAAAAA, "normal", 0);
-
-                // Call async and handle response
-                Promise.resolve(window.statsOnPlayerChat(authData.auth, message))
-                    .then(msg => {
-                        if (msg) {
-                            room.sendAnnouncement(msg, null, 0xFFFFFF, "normal", 1);
-                            // Separator after response
-                            room.sendAnnouncement('─────────────────────', null, 0xAAAAAA, "normal", 0);
-                        }
-                    })
-                    .catch(err => {
-                        console.error('Error handling chat command:', err);
-                    });
-                return false; // Prevent message from showing in chat
+            case '!setrole': {
+                const newRole = (args[1] || '').toLowerCase();
+                if (!args[0] || !ROLES.includes(newRole)) {
+                    return `❌ Użycie: !setrole <#id|nick> <${ROLES.join('|')}>`;
+                }
+                const target = await findModerationTarget(playerId, role, args[0]);
+                if (!target.auth) return `❌ ${target.name} nie ma auth`;
+                const owner = await runRoomCommand('getPlayerIdentity', playerId);
+                await setPlayerRole({ auth: target.auth, name: target.name, role: newRole, grantedBy: owner.name });
+                return `✅ ${target.name} ma teraz rolę ${newRole}`;
             }
+        }
+    } catch (error) {
+        return `❌ ${error.message}`;
+    }
+    return null;
+}
 
-            return true;
-        };
-    }, roomConfig);
+/**
+ * Called by the room script for every joining player
+ * Banned players get a kick reason, players with an AUTO_ADMIN_ROLES role get room admin,
+ * everyone gets their balancing strength
+ */
+function handlePlayerJoin(auth, conn) {
+    const kickReason = checkBan(auth, conn);
+    if (kickReason) return { kickReason };
+
+    if (!auth || !state.statsTracker) {
+        return { admin: false, strength: playerStrength(null) };
+    }
+    const db = state.statsTracker.db;
+    return {
+        admin: AUTO_ADMIN_ROLES.includes(db.getRole(auth)),
+        strength: playerStrength(db.getPlayer(auth)),
+    };
+}
 
-    updateState({ status_message: 'Room script executed. Waiting for room link...' });
+/**
+ * Balancing strengths of the given players ({ auth: strength }), asked for after each match
+ */
+function getStrengths(auths) {
+    if (!state.statsTracker) return {};
+    const strengths = {};
+    for (const auth of auths) {
+        strengths[auth] = playerStrength(state.statsTracker.db.getPlayer(auth));
+    }
+    return strengths;
 }
 
-export async function start(token) {
-    if (!token) {
-        throw new Error('A reCAPTCHA token is required to start the room.');
+/**
+ * Players with a role other than "player"
+ */
+export function listRoles() {
+    return getModerationDatabase().listRoles();
+}
+
+/**
+ * Give a player (by auth, or by a name known to the stats database) a role
+ * Their room admin is updated right away if they are in the room
+ * `maxRole` is the highest role the caller may give or take away
+ */
+export async function setPlayerRole({ auth = null, name = null, role, grantedBy = 'admin panel', maxRole = 'owner' }) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}". Use one of: ${ROLES.join(', ')}.`);
     }
-    if (state.status !== 'stopped') {
-        throw new Error(`Cannot start room when status is ${state.status}.`);
+    if (!hasRole(maxRole, role)) {
+        throw new Error(`You can't give the ${role} role.`);
     }
 
-    if (!wsPath) {
-        const errorMsg = "FATAL: The WS_PATH environment variable is not set.";
-        updateState({ status: 'error', status_message: errorMsg });
-        throw new Error(errorMsg);
+    const db = getModerationDatabase();
+    if (!auth && name) {
+        const player = db.getPlayerByName(name);
+        if (!player) {
+            throw new Error(`Player "${name}" not found in stats. Use their auth instead.`);
+        }
+        auth = player.auth;
+        name = player.name;
+    }
+    if (!auth) {
+        throw new Error('Player name or auth is required.');
     }
 
-    updateState({ status: 'starting', status_message: 'Connecting to Playwright server...' });
+    const currentRole = db.getRole(auth);
+    if (!hasRole(maxRole, currentRole)) {
+        throw new Error(`${name || auth} is ${currentRole}, you can't change their role.`);
+    }
 
-    try {
-        const browser = await chromium.connect(wsPath, { timeout: 20000 });
-        updateState({ browser, status_message: 'Connected to Playwright. Opening new page...' });
+    db.setRole(auth, role, grantedBy);
+    console.log(`[Moderation] ${name || auth} is now ${role} (by ${grantedBy})`);
+
+    if (state.status === 'running') {
+        await runRoomCommand('setAdminByAuth', auth, AUTO_ADMIN_ROLES.includes(role));
+    }
+    return { auth, name, role };
+}
 
-        const context = await browser.newContext();
-        const page = await context.newPage();
-        updateState({ page, status_message: 'Navigating to Haxball headless URL...' });
+function createDriver() {
+    if (roomDriverType === 'simulated') {
+        return new SimulatedDriver();
+    }
+    if (roomDriverType !== 'playwright') {
+        throw new Error(`Unknown ROOM_DRIVER "${roomDriverType}".`);
+    }
+    return new PlaywrightDriver(wsPath);
+}
+
+async function initializeRoom(token = null, settings = DEFAULT_ROOM_SETTINGS) {
+    if (!state.driver) return;
 
-        page.on('close', () => stop('Page was closed.'));
-        page.on("console", (msg) => console.log(`[Browser]: ${msg.text()}`));
+    await state.driver.exposeFunction("onRoomLinkSet", (url) => {
+        console.log("==================================================");
+        console.log(`🎉 Haxball Room URL: ${url}`);
+        console.log("==================================================");
+        updateState({ room_url: url, status: 'running', status_message: 'Room is running successfully!', runningSince: Date.now() });
+        webhooks.dispatch('room.link', { url, roomName: settings.roomName });
+        if (roomLinkWaiter) roomLinkWaiter(url);
+    });
 
-        await page.goto("https://html5.haxball.com/headless", { timeout: 30000 });
-        updateState({ status_message: 'Waiting for Haxball to load...' });
+    await state.driver.exposeFunction("roomOnPlayerJoin", (auth, conn) => {
+        return handlePlayerJoin(auth, conn);
+    });
 
-        await page.waitForFunction(() => window.HBInit, null, { timeout: 30000 });
+    await state.driver.exposeFunction("roomGetStrengths", (auths) => {
+        return getStrengths(auths);
+    });
 
-        // Initialize stats tracker
-        updateState({ status_message: 'Initializing stats tracker...' });
-        const statsTracker = new HaxballStatsTracker(page, './data/stats.db');
-        await statsTracker.initialize();
-        updateState({ statsTracker });
+    // Pushed on every join/leave/team change/goal and once per second of match time,
+    // so it skips updateState() to keep the log readable
+    const driver = state.driver;
+    await state.driver.exposeFunction("roomOnStateChange", (live) => {
+        if (state.driver !== driver) return; // Late push from a torn down page
+        state = { ...state, live };
+        onStateUpdate();
+    });
 
-        await initializeRoom(token);
+    updateState({ status_message: 'Initializing Haxball room...' });
 
-    } catch (error) {
-        console.error("❌ An error occurred during startup:", error);
-        await stop(`Error during startup: ${error.message}`);
-        throw error; // Re-throw to inform the caller
-    }
+    const roomConfig = {
+        roomName: settings.roomName,
+        maxPlayers: settings.maxPlayers,
+        public: settings.public,
+        noPlayer: true,
+        token: token, // Pass the token here
+    };
+    if (settings.password) roomConfig.password = settings.password;
+    if (settings.geo) roomConfig.geo = settings.geo;
+
+    await state.driver.defineFunction("createGoalAttribution", createGoalAttribution);
+    await state.driver.defineFunction("splitTeams", splitTeams);
+    await state.driver.defineFunction("createMatchAnalytics", createMatchAnalytics);
+    await state.driver.evaluate(roomScript, {
+        config: roomConfig,
+        settings,
+        stadium: stadiumLibrary.resolve(settings.stadium),
+        attributionConfig: ATTRIBUTION_CONFIG,
+        analyticsConfig: ANALYTICS_CONFIG,
+        adminCommands: Object.keys(COMMAND_ROLES),
+        balanceConfig: BALANCE_CONFIG,
+        defaultStrength: playerStrength(null),
+    });
+
+    updateState({ status_message: 'Room script executed. Waiting for room link...' });
 }
 
-export async function stop(reason = 'Room stopped by admin.') {
-    if (state.status === 'stopped') return;
+/**
+ * Open the room driver (Playwright page or simulation) and set up stats + room script
+ * Used both for a fresh start and for every reconnect attempt
+ */
+async function openRoom(token, settings) {
+    const driver = createDriver();
+    updateState({ driver });
+
+    await driver.open({
+        onLost: (reason) => handleConnectionLost(reason),
+        onProgress: (message) => updateState({ status_message: message }),
+    });
 
-    updateState({ status: 'stopping', status_message: `Stopping room: ${reason}` });
+    // Initialize stats tracker
+    updateState({ status_message: 'Initializing stats tracker...' });
+    closeStandaloneStatsDb();
+    const statsTracker = new HaxballStatsTracker(driver, statsDbPath);
+    await statsTracker.initialize();
+    statsTracker.setAdminCommandHandler(Object.keys(COMMAND_ROLES), handleAdminCommand);
+    statsTracker.setEventListener(handleMatchEvent);
+    updateState({ statsTracker });
+
+    await initializeRoom(token, settings);
+    startWatchdog(driver);
+}
+
+/**
+ * Match events from the stats tracker: counted for /metrics and sent to webhooks
+ */
+function handleMatchEvent(event, data) {
+    if (event === 'match.goal') {
+        roomMetrics.goals.inc({ team: data.team === 1 ? 'red' : 'blue' });
+    } else if (event === 'match.ended') {
+        roomMetrics.matches.inc();
+    }
+    webhooks.dispatch(event, data);
+}
+
+/**
+ * Close stats tracker and room driver (errors are ignored)
+ */
+async function teardownConnection() {
+    stopWatchdog();
 
     // Close stats tracker
     if (state.statsTracker) {
@@ -510,31 +776,214 @@ export async function stop(reason = 'Room stopped by admin.') {
         }
     }
 
-    if (state.page && !state.page.isClosed()) {
+    if (state.driver) {
+        await state.driver.close();
+    }
+
+    state = { ...state, driver: null, statsTracker: null, live: null };
+}
+
+/**
+ * Wait until the room script reports its link via onRoomLinkSet
+ * Rejects with code ROOM_LINK_TIMEOUT if it doesn't happen in time (usually an expired token)
+ */
+function waitForRoomLink(timeout) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            roomLinkWaiter = null;
+            const error = new Error(`Room link not received within ${timeout / 1000}s.`);
+            error.code = 'ROOM_LINK_TIMEOUT';
+            reject(error);
+        }, timeout);
+
+        roomLinkWaiter = (url) => {
+            clearTimeout(timer);
+            roomLinkWaiter = null;
+            resolve(url);
+        };
+    });
+}
+
+/**
+ * Periodically check that the page still responds - catches hung sockets
+ * that never emit 'disconnected' or 'close'
+ */
+function startWatchdog(driver) {
+    stopWatchdog();
+
+    let checking = false;
+    watchdogTimer = setInterval(async () => {
+        if (checking || state.status !== 'running') return;
+        checking = true;
+        let timeout;
         try {
-            await state.page.close();
-        } catch (e) {
-            console.error("Ignoring error while closing page:", e.message);
+            await Promise.race([
+                driver.ping(),
+                new Promise((_, reject) => {
+                    timeout = setTimeout(() => reject(new Error('Heartbeat timed out')), RECONNECT.HEARTBEAT_TIMEOUT);
+                }),
+            ]);
+        } catch (error) {
+            console.error(`[Watchdog] Heartbeat failed: ${error.message}`);
+            handleConnectionLost('Page stopped responding.');
+        } finally {
+            clearTimeout(timeout);
+            checking = false;
         }
+    }, RECONNECT.HEARTBEAT_INTERVAL);
+}
+
+function stopWatchdog() {
+    if (watchdogTimer) {
+        clearInterval(watchdogTimer);
+        watchdogTimer = null;
     }
+}
+
+/**
+ * Called when the page or browser goes away on its own
+ * Only a running room is recovered - failures during start/stop are handled by those flows
+ */
+function handleConnectionLost(reason) {
+    if (state.status !== 'running') return;
+
+    console.error(`[Watchdog] ${reason}`);
+    recoverRoom(reason).catch(error => {
+        console.error("❌ Room recovery failed:", error);
+        stop(`Room recovery failed: ${error.message}`, { error: true });
+    });
+}
+
+/**
+ * Reconnect to Playwright and re-create the room with exponential backoff
+ * Stops retrying (and asks for a new token over SSE) when the room link never arrives
+ */
+async function recoverRoom(reason) {
+    const recoveryId = ++recoveryGeneration;
+    const isAborted = () => recoveryId !== recoveryGeneration;
+
+    updateState({
+        status: 'reconnecting',
+        status_message: `${reason} Reconnecting...`,
+        room_url: null,
+        runningSince: null,
+        needsToken: false,
+        reconnectAttempt: 0,
+    });
+    await teardownConnection();
+
+    for (let attempt = 1; attempt <= RECONNECT.MAX_ATTEMPTS; attempt++) {
+        const delay = Math.min(RECONNECT.BASE_DELAY * 2 ** (attempt - 1), RECONNECT.MAX_DELAY);
+        updateState({
+            reconnectAttempt: attempt,
+            status_message: `${reason} Reconnect attempt ${attempt}/${RECONNECT.MAX_ATTEMPTS} in ${delay / 1000}s...`,
+        });
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        if (isAborted()) return;
+        roomMetrics.reconnectAttempts.inc();
 
-    // We connected to an existing browser server, so we should not close the browser itself.
-    // We just disconnect from it.
-    if (state.browser && state.browser.isConnected()) {
         try {
-            await state.browser.disconnect();
-        } catch (e) {
-            console.error("Ignoring error while disconnecting browser:", e.message);
+            const roomLink = waitForRoomLink(RECONNECT.ROOM_LINK_TIMEOUT);
+            roomLink.catch(() => {}); // Handled below, avoid unhandled rejection if openRoom throws first
+            await openRoom(state.lastToken, state.roomSettings);
+            await roomLink;
+
+            if (isAborted()) {
+                await teardownConnection();
+                return;
+            }
+
+            updateState({ reconnectAttempt: 0 });
+            console.log(`[Watchdog] Room recovered after ${attempt} attempt(s)`);
+            return;
+        } catch (error) {
+            roomLinkWaiter = null;
+            if (isAborted()) return;
+
+            console.error(`[Watchdog] Reconnect attempt ${attempt} failed: ${error.message}`);
+            await teardownConnection();
+
+            if (error.code === 'ROOM_LINK_TIMEOUT') {
+                updateState({
+                    needsToken: true,
+                    status_message: 'Reconnected to Playwright, but the room did not open. A fresh reCAPTCHA token is required.',
+                });
+                webhooks.dispatch('room.error', { reason: state.status_message });
+                return;
+            }
         }
     }
 
+    await stop(`Reconnect failed after ${RECONNECT.MAX_ATTEMPTS} attempts: ${reason}`, { error: true });
+}
+
+export async function start(token, settings = DEFAULT_ROOM_SETTINGS) {
+    if (!token && roomDriverType !== 'simulated') {
+        throw new Error('A reCAPTCHA token is required to start the room.');
+    }
+
+    // A reconnect is waiting for a fresh token - resume it instead of starting from scratch
+    if (state.status === 'reconnecting' && state.needsToken) {
+        updateState({ lastToken: token, needsToken: false });
+        recoverRoom('Fresh token received.').catch(error => {
+            console.error("❌ Room recovery failed:", error);
+            stop(`Room recovery failed: ${error.message}`, { error: true });
+        });
+        return;
+    }
+
+    if (state.status !== 'stopped') {
+        throw new Error(`Cannot start room when status is ${state.status}.`);
+    }
+
+    if (!wsPath && roomDriverType === 'playwright') {
+        const errorMsg = "FATAL: The WS_PATH environment variable is not set.";
+        updateState({ status: 'error', status_message: errorMsg });
+        roomMetrics.startFailures.inc();
+        webhooks.dispatch('room.error', { reason: errorMsg });
+        throw new Error(errorMsg);
+    }
+
+    updateState({ status: 'starting', status_message: 'Connecting to Playwright server...', roomSettings: settings, lastToken: token });
+
+    try {
+        await openRoom(token, settings);
+    } catch (error) {
+        console.error("❌ An error occurred during startup:", error);
+        roomMetrics.startFailures.inc();
+        await stop(`Error during startup: ${error.message}`, { error: true });
+        throw error; // Re-throw to inform the caller
+    }
+}
+
+/**
+ * Stop the room, `error` marks a stop caused by a failure (sent as room.error instead of room.stopped)
+ */
+export async function stop(reason = 'Room stopped by admin.', { error = false } = {}) {
+    if (state.status === 'stopped') return;
+
+    // Abort any reconnect loop in progress
+    recoveryGeneration++;
+    roomLinkWaiter = null;
+
+    updateState({ status: 'stopping', status_message: `Stopping room: ${reason}` });
+
+    await teardownConnection();
+
     // Reset state
     updateState({
         status: 'stopped',
         status_message: reason,
         room_url: null,
-        browser: null,
-        page: null,
+        runningSince: null,
+        driver: null,
         statsTracker: null,
+        roomSettings: null,
+        lastToken: null,
+        needsToken: false,
+        reconnectAttempt: 0,
+        live: null,
     });
+    webhooks.dispatch(error ? 'room.error' : 'room.stopped', { reason });
 }
@@ -0,0 +1,22 @@
+import { MetricsRegistry } from './registry.mjs';
+
+export { Counter, Gauge, Histogram, MetricsRegistry } from './registry.mjs';
+
+/**
+ * Registry served at /metrics - haxball.mjs and server.mjs record into the metrics below,
+ * server.mjs adds the gauges read from the current state on every scrape
+ */
+export const metrics = new MetricsRegistry();
+
+export const roomMetrics = {
+    reconnectAttempts: metrics.counter('haxball_reconnect_attempts_total', 'Attempts to reconnect to Playwright after the room was lost'),
+    startFailures: metrics.counter('haxball_room_start_failures_total', 'Room starts that failed'),
+    matches: metrics.counter('haxball_matches_total', 'Matches recorded since the server started'),
+    goals: metrics.counter('haxball_goals_total', 'Goals scored since the server started', ['team']),
+};
+roomMetrics.goals.inc({ team: 'red' }, 0);
+roomMetrics.goals.inc({ team: 'blue' }, 0);
+
+export const httpMetrics = {
+    requestDuration: metrics.histogram('haxball_http_request_duration_seconds', 'HTTP request latency by route', ['route', 'method', 'status']),
+};
@@ -0,0 +1,165 @@
+/**
+ * Minimal Prometheus registry - counters, gauges and histograms rendered in the text exposition format
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Values of one metric per label combination
+ */
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // JSON of the label values => { labels, value }
+    }
+
+    seriesFor(labels) {
+        const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            const seriesLabels = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+            this.series.set(key, { labels: seriesLabels, value: this.initialValue() });
+        }
+        return this.series.get(key);
+    }
+
+    initialValue() {
+        return 0;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+        if (this.labelNames.length === 0) this.seriesFor({}); // Scraped as 0 before the first inc()
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+}
+
+/**
+ * Gauge - set directly, or computed on every scrape by `collect()` returning [{ labels, value }]
+ */
+export class Gauge extends Metric {
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels = {}, value) {
+        this.seriesFor(labels).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            this.series.clear();
+            for (const { labels = {}, value } of this.collect()) {
+                this.set(labels, value);
+            }
+        }
+        return super.render();
+    }
+}
+
+export class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    initialValue() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels = {}, value) {
+        const series = this.seriesFor(labels).value;
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * MetricsRegistry - creates metrics and renders all of them for a scrape
+ * A scrape-time gauge that throws is left out of that scrape (and logged) instead of failing /metrics
+ */
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        if (this.metrics.some(m => m.name === metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = [], collect = null) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        const blocks = [];
+        for (const metric of this.metrics) {
+            try {
+                blocks.push(metric.render());
+            } catch (error) {
+                console.error(`[Metrics] Could not collect ${metric.name}:`, error.message);
+            }
+        }
+        return `${blocks.join('\n')}\n`;
+    }
+}
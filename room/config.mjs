@@ -0,0 +1,225 @@
+import { mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { dirname } from 'path';
+import { CUSTOM_STADIUM_PREFIX } from './stadiums.mjs';
+
+/**
+ * Built-in stadiums accepted by room.setDefaultStadium()
+ */
+export const DEFAULT_STADIUMS = [
+    'Classic', 'Easy', 'Small', 'Big', 'Rounded',
+    'Hockey', 'BigHockey', 'BigEasy', 'BigRounded', 'Huge',
+];
+
+/**
+ * Settings used when /start is called without a profile or overrides
+ * (matches the values that used to be hardcoded in initializeRoom)
+ */
+export const DEFAULT_ROOM_SETTINGS = {
+    roomName: "Jules's Awesome Haxball Room",
+    maxPlayers: 12,
+    public: false,
+    password: null,
+    geo: null,           // { code, lat, lon } or null to let Haxball detect it
+    stadium: 'Rounded',  // built-in name or "custom:<id>" from the stadium library
+    scoreLimit: 0,
+    timeLimit: 3,
+    teamsLock: false,
+    balanceMode: 'off',  // "auto" balances teams at game start and puts late joiners in the weaker team
+};
+
+/**
+ * Accepted values of settings.balanceMode
+ */
+export const BALANCE_MODES = ['off', 'auto'];
+
+/**
+ * Validate and normalize room settings
+ * Missing fields are filled in from `base`, invalid ones throw an Error
+ */
+export function normalizeRoomSettings(input = {}, base = DEFAULT_ROOM_SETTINGS) {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        throw new Error('Room settings must be an object');
+    }
+
+    const settings = { ...base };
+
+    if (input.roomName !== undefined) {
+        const roomName = String(input.roomName).trim();
+        if (!roomName || roomName.length > 60) {
+            throw new Error('Room name must be between 1 and 60 characters');
+        }
+        settings.roomName = roomName;
+    }
+
+    if (input.maxPlayers !== undefined) {
+        const maxPlayers = Number(input.maxPlayers);
+        if (!Number.isInteger(maxPlayers) || maxPlayers < 2 || maxPlayers > 30) {
+            throw new Error('Max players must be an integer between 2 and 30');
+        }
+        settings.maxPlayers = maxPlayers;
+    }
+
+    if (input.public !== undefined) {
+        settings.public = Boolean(input.public);
+    }
+
+    if (input.password !== undefined) {
+        // Empty string clears the password
+        const password = input.password === null ? '' : String(input.password);
+        settings.password = password.length > 0 ? password : null;
+    }
+
+    if (input.geo !== undefined) {
+        if (input.geo === null || input.geo === '') {
+            settings.geo = null;
+        } else {
+            const { code, lat, lon } = input.geo;
+            const latNum = Number(lat);
+            const lonNum = Number(lon);
+            if (typeof code !== 'string' || !/^[a-zA-Z]{2}$/.test(code)) {
+                throw new Error('Geo code must be a two-letter country code');
+            }
+            if (!Number.isFinite(latNum) || latNum < -90 || latNum > 90) {
+                throw new Error('Geo latitude must be between -90 and 90');
+            }
+            if (!Number.isFinite(lonNum) || lonNum < -180 || lonNum > 180) {
+                throw new Error('Geo longitude must be between -180 and 180');
+            }
+            settings.geo = { code: code.toLowerCase(), lat: latNum, lon: lonNum };
+        }
+    }
+
+    if (input.stadium !== undefined) {
+        const customId = typeof input.stadium === 'string' && input.stadium.startsWith(CUSTOM_STADIUM_PREFIX)
+            ? input.stadium.slice(CUSTOM_STADIUM_PREFIX.length)
+            : null;
+        if (!DEFAULT_STADIUMS.includes(input.stadium) && !(customId && /^[a-z0-9-]{1,40}$/.test(customId))) {
+            throw new Error(`Unknown stadium "${input.stadium}"`);
+        }
+        settings.stadium = input.stadium;
+    }
+
+    if (input.scoreLimit !== undefined) {
+        const scoreLimit = Number(input.scoreLimit);
+        if (!Number.isInteger(scoreLimit) || scoreLimit < 0 || scoreLimit > 14) {
+            throw new Error('Score limit must be an integer between 0 and 14');
+        }
+        settings.scoreLimit = scoreLimit;
+    }
+
+    if (input.timeLimit !== undefined) {
+        const timeLimit = Number(input.timeLimit);
+        if (!Number.isInteger(timeLimit) || timeLimit < 0 || timeLimit > 14) {
+            throw new Error('Time limit must be an integer between 0 and 14 minutes');
+        }
+        settings.timeLimit = timeLimit;
+    }
+
+    if (input.teamsLock !== undefined) {
+        settings.teamsLock = Boolean(input.teamsLock);
+    }
+
+    if (input.balanceMode !== undefined) {
+        if (!BALANCE_MODES.includes(input.balanceMode)) {
+            throw new Error(`Balance mode must be one of: ${BALANCE_MODES.join(', ')}`);
+        }
+        settings.balanceMode = input.balanceMode;
+    }
+
+    return settings;
+}
+
+/**
+ * RoomProfileStore - named room settings persisted as JSON next to the stats database
+ */
+export class RoomProfileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * Read all profiles from disk ({ name: settings })
+     */
+    load() {
+        try {
+            return JSON.parse(readFileSync(this.filePath, 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return {};
+            throw new Error(`Could not read room profiles: ${e.message}`);
+        }
+    }
+
+    /**
+     * Write all profiles to disk (write to temp file + rename so a crash can't truncate it)
+     */
+    save(profiles) {
+        mkdirSync(dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        writeFileSync(tmpPath, JSON.stringify(profiles, null, 2));
+        renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * List profiles as [{ name, settings }] sorted by name
+     */
+    list() {
+        const profiles = this.load();
+        return Object.keys(profiles)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => ({ name, settings: profiles[name] }));
+    }
+
+    /**
+     * Get settings of a single profile, or null if it doesn't exist
+     */
+    get(name) {
+        const profiles = this.load();
+        return Object.prototype.hasOwnProperty.call(profiles, name) ? profiles[name] : null;
+    }
+
+    /**
+     * Create or replace a profile
+     */
+    put(name, settings) {
+        const profileName = typeof name === 'string' ? name.trim() : '';
+        if (!profileName || profileName.length > 40) {
+            throw new Error('Profile name must be between 1 and 40 characters');
+        }
+
+        const profiles = this.load();
+        profiles[profileName] = normalizeRoomSettings(settings);
+        this.save(profiles);
+        console.log(`[Profiles] Saved room profile "${profileName}"`);
+        return profiles[profileName];
+    }
+
+    /**
+     * Delete a profile, returns false if it didn't exist
+     */
+    delete(name) {
+        const profiles = this.load();
+        if (!Object.prototype.hasOwnProperty.call(profiles, name)) return false;
+
+        delete profiles[name];
+        this.save(profiles);
+        console.log(`[Profiles] Deleted room profile "${name}"`);
+        return true;
+    }
+
+    /**
+     * Resolve the settings for a room start: defaults <- profile <- overrides
+     */
+    resolve(profileName, overrides) {
+        let settings = DEFAULT_ROOM_SETTINGS;
+
+        if (profileName) {
+            const profile = this.get(profileName);
+            if (!profile) {
+                throw new Error(`Room profile "${profileName}" not found`);
+            }
+            settings = normalizeRoomSettings(profile);
+        }
+
+        return overrides ? normalizeRoomSettings(overrides, settings) : settings;
+    }
+}
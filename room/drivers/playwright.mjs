@@ -0,0 +1,99 @@
+import { chromium } from "playwright";
+
+const HEADLESS_URL = "https://html5.haxball.com/headless";
+
+/**
+ * PlaywrightDriver - runs the room in the real Haxball headless page
+ * on a remote Playwright server
+ */
+export class PlaywrightDriver {
+    constructor(wsPath) {
+        this.wsPath = wsPath;
+        this.browser = null;
+        this.page = null;
+        this.requiresToken = true; // Haxball needs a reCAPTCHA token to open a room
+    }
+
+    /**
+     * Connect to Playwright and wait until HBInit is available
+     * `onLost(reason)` is called when the browser or page goes away
+     * `onProgress(message)` receives human-readable status updates
+     */
+    async open({ onLost = () => {}, onProgress = () => {} } = {}) {
+        if (!this.wsPath) {
+            throw new Error("FATAL: The WS_PATH environment variable is not set.");
+        }
+
+        this.browser = await chromium.connect(this.wsPath, { timeout: 20000 });
+        onProgress('Connected to Playwright. Opening new page...');
+
+        this.browser.on('disconnected', () => onLost('Lost connection to Playwright server.'));
+
+        const context = await this.browser.newContext();
+        this.page = await context.newPage();
+        onProgress('Navigating to Haxball headless URL...');
+
+        this.page.on('close', () => onLost('Page was closed.'));
+        this.page.on('crash', () => onLost('Page crashed.'));
+        this.page.on("console", (msg) => console.log(`[Browser]: ${msg.text()}`));
+
+        await this.page.goto(HEADLESS_URL, { timeout: 30000 });
+        onProgress('Waiting for Haxball to load...');
+
+        await this.page.waitForFunction(() => window.HBInit, null, { timeout: 30000 });
+    }
+
+    /**
+     * Make a Node function callable from the room script as window[name]
+     */
+    async exposeFunction(name, fn) {
+        await this.page.exposeFunction(name, fn);
+    }
+
+    /**
+     * Install a self-contained function in the page as window[name]
+     */
+    async defineFunction(name, fn) {
+        await this.page.evaluate(`(() => { window[${JSON.stringify(name)}] = ${fn.toString()}; })()`);
+    }
+
+    /**
+     * Run a self-contained function inside the page
+     */
+    async evaluate(fn, arg) {
+        return await this.page.evaluate(fn, arg);
+    }
+
+    /**
+     * Heartbeat used by the watchdog - resolves if the page still responds
+     */
+    async ping() {
+        await this.page.evaluate(() => !!window.HBInit);
+    }
+
+    /**
+     * Close the page and disconnect (errors are ignored)
+     */
+    async close() {
+        if (this.page && !this.page.isClosed()) {
+            try {
+                await this.page.close();
+            } catch (e) {
+                console.error("Ignoring error while closing page:", e.message);
+            }
+        }
+
+        // We connected to an existing browser server, so we should not close the browser itself.
+        // We just disconnect from it.
+        if (this.browser && this.browser.isConnected()) {
+            try {
+                await this.browser.disconnect();
+            } catch (e) {
+                console.error("Ignoring error while disconnecting browser:", e.message);
+            }
+        }
+
+        this.page = null;
+        this.browser = null;
+    }
+}
@@ -0,0 +1,440 @@
+/**
+ * Offline room driver - runs the room script against a simulated HBInit
+ * so room logic and stats can be exercised without network access or a token
+ */
+
+const TEAM_SPECTATORS = 0;
+const TEAM_RED = 1;
+const TEAM_BLUE = 2;
+
+const PLAYER_RADIUS = 15;
+
+/**
+ * Date replacement bound to a manual clock, injected into the room script
+ * so touch timestamps and assist windows follow the scenario instead of wall time
+ */
+function createClockDate(clock) {
+    return class SimulatedDate extends Date {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(clock.now);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return clock.now;
+        }
+    };
+}
+
+/**
+ * SimulatedRoom - the subset of the Haxball RoomObject used by the room script
+ * Event handlers (onPlayerJoin, onTeamGoal, ...) are assigned by the script as on the real room
+ */
+export class SimulatedRoom {
+    constructor(config, clock) {
+        this.config = config;
+        this.clock = clock;
+        this.players = []; // { id, name, team, admin, auth, conn, position }
+        this.nextPlayerId = 1;
+        this.ball = { x: 0, y: 0 };
+        this.ballSpeed = { xspeed: 0, yspeed: 0 };
+        this.scores = null;
+        this.paused = false;
+        this.stadium = 'Classic';
+        this.customStadium = null;
+        this.scoreLimit = 3;
+        this.timeLimit = 3;
+        this.teamsLock = false;
+        this.password = config.password || null;
+        this.recording = false;
+        this.announcements = []; // { message, targetId, color, style, sound }
+        this.chatLog = [];       // { playerId, message }
+        this.kicks = [];         // { playerId, name, reason, ban }
+    }
+
+    emit(handler, ...args) {
+        if (typeof this[handler] === 'function') {
+            return this[handler](...args);
+        }
+        return undefined;
+    }
+
+    findPlayer(id) {
+        return this.players.find(p => p.id === id) || null;
+    }
+
+    // Public view of a player - like the real API, auth and conn are only passed to onPlayerJoin
+    toPlayerObject(player) {
+        if (!player) return null;
+        return {
+            id: player.id,
+            name: player.name,
+            team: player.team,
+            admin: player.admin,
+            position: this.scores && player.team !== TEAM_SPECTATORS ? { ...player.position } : null,
+            auth: null,
+            conn: null,
+        };
+    }
+
+    resetPositions() {
+        let redIndex = 0;
+        let blueIndex = 0;
+        for (const player of this.players) {
+            if (player.team === TEAM_RED) {
+                player.position = { x: -150, y: -60 + 60 * redIndex++ };
+            } else if (player.team === TEAM_BLUE) {
+                player.position = { x: 150, y: -60 + 60 * blueIndex++ };
+            }
+        }
+        this.ball = { x: 0, y: 0 };
+        this.ballSpeed = { xspeed: 0, yspeed: 0 };
+    }
+
+    // ---- RoomObject API ----
+
+    sendAnnouncement(message, targetId = null, color = 0xFFFFFF, style = 'normal', sound = 1) {
+        this.announcements.push({ message, targetId, color, style, sound });
+        const target = targetId === null || targetId === undefined ? '' : ` -> #${targetId}`;
+        console.log(`[Simulated Room]${target} ${message}`);
+    }
+
+    sendChat(message, targetId = null) {
+        this.sendAnnouncement(message, targetId);
+    }
+
+    setPlayerAdmin(playerId, admin) {
+        const player = this.findPlayer(playerId);
+        if (!player || player.admin === admin) return;
+        player.admin = admin;
+        this.emit('onPlayerAdminChange', this.toPlayerObject(player), null);
+    }
+
+    setPlayerTeam(playerId, team) {
+        const player = this.findPlayer(playerId);
+        if (!player || player.team === team) return;
+        player.team = team;
+        if (this.scores) {
+            player.position = team === TEAM_RED ? { x: -150, y: 0 } : { x: 150, y: 0 };
+        }
+        this.emit('onPlayerTeamChange', this.toPlayerObject(player), null);
+    }
+
+    kickPlayer(playerId, reason = '', ban = false) {
+        const player = this.findPlayer(playerId);
+        if (!player) return;
+        this.kicks.push({ playerId, name: player.name, reason, ban });
+        this.players = this.players.filter(p => p.id !== playerId);
+        this.emit('onPlayerKicked', this.toPlayerObject(player), reason, ban, null);
+        this.emit('onPlayerLeave', this.toPlayerObject(player));
+    }
+
+    clearBan() {}
+
+    clearBans() {}
+
+    setScoreLimit(limit) {
+        this.scoreLimit = limit;
+    }
+
+    setTimeLimit(limit) {
+        this.timeLimit = limit;
+    }
+
+    setCustomStadium(stadiumFileContents) {
+        const stadium = JSON.parse(stadiumFileContents);
+        this.customStadium = stadiumFileContents;
+        this.stadium = stadium.name;
+        this.emit('onStadiumChange', stadium.name, null);
+    }
+
+    setDefaultStadium(stadiumName) {
+        this.customStadium = null;
+        this.stadium = stadiumName;
+        this.emit('onStadiumChange', stadiumName, null);
+    }
+
+    setTeamsLock(locked) {
+        this.teamsLock = locked;
+    }
+
+    setTeamColors() {}
+
+    setKickRateLimit() {}
+
+    setPassword(password) {
+        this.password = password;
+    }
+
+    reorderPlayers(playerIdList, moveToTop) {
+        const moved = playerIdList.map(id => this.findPlayer(id)).filter(Boolean);
+        const rest = this.players.filter(p => !playerIdList.includes(p.id));
+        this.players = moveToTop ? [...moved, ...rest] : [...rest, ...moved];
+    }
+
+    startGame() {
+        if (this.scores) return;
+        this.scores = { red: 0, blue: 0, time: 0, scoreLimit: this.scoreLimit, timeLimit: this.timeLimit * 60 };
+        this.paused = false;
+        this.resetPositions();
+        this.emit('onGameStart', null);
+    }
+
+    stopGame() {
+        if (!this.scores) return;
+        this.scores = null;
+        this.emit('onGameStop', null);
+    }
+
+    pauseGame(pauseState) {
+        if (!this.scores || this.paused === pauseState) return;
+        this.paused = pauseState;
+        this.emit(pauseState ? 'onGamePause' : 'onGameUnpause', null);
+    }
+
+    getScores() {
+        return this.scores ? { ...this.scores } : null;
+    }
+
+    getPlayer(playerId) {
+        return this.toPlayerObject(this.findPlayer(playerId));
+    }
+
+    getPlayerList() {
+        return this.players.map(p => this.toPlayerObject(p));
+    }
+
+    getBallPosition() {
+        return this.scores ? { ...this.ball } : null;
+    }
+
+    getPlayerDiscProperties(playerId) {
+        const player = this.findPlayer(playerId);
+        if (!this.scores || !player || player.team === TEAM_SPECTATORS) return null;
+        return { ...player.position, xspeed: 0, yspeed: 0, radius: PLAYER_RADIUS };
+    }
+
+    getDiscProperties(discIndex) {
+        if (!this.scores || discIndex !== 0) return null;
+        return { ...this.ball, ...this.ballSpeed, radius: 10 };
+    }
+
+    getDiscCount() {
+        return this.scores ? 1 : 0;
+    }
+
+    startRecording() {
+        this.recording = true;
+    }
+
+    stopRecording() {
+        if (!this.recording) return null;
+        this.recording = false;
+        return new Uint8Array([0x48, 0x42, 0x52, 0x32]); // "HBR2" placeholder
+    }
+}
+
+/**
+ * SimulatedDriver - same interface as PlaywrightDriver, backed by SimulatedRoom
+ */
+export class SimulatedDriver {
+    constructor() {
+        this.clock = { now: Date.now() };
+        this.window = null;
+        this.room = null;
+        this.requiresToken = false;
+    }
+
+    async open({ onProgress = () => {} } = {}) {
+        this.window = {
+            HBInit: (config) => {
+                this.room = new SimulatedRoom(config, this.clock);
+                // The real room reports its link asynchronously
+                setTimeout(() => {
+                    if (this.room) {
+                        this.room.emit('onRoomLink', `simulated://${encodeURIComponent(config.roomName)}`);
+                    }
+                }, 0);
+                return this.room;
+            },
+        };
+        onProgress('Simulated room ready.');
+    }
+
+    /**
+     * Exposed functions are asynchronous in Playwright, so keep them asynchronous here too
+     * Errors are logged like the browser would, instead of crashing the process
+     */
+    async exposeFunction(name, fn) {
+        this.window[name] = (...args) => Promise.resolve()
+            .then(() => fn(...args))
+            .catch(error => {
+                console.error(`[Simulated] window.${name} threw:`, error);
+                return undefined;
+            });
+    }
+
+    /**
+     * Install a self-contained function as window[name] (recompiled, like in the page)
+     */
+    async defineFunction(name, fn) {
+        this.window[name] = this.compile(fn);
+    }
+
+    /**
+     * Evaluate a self-contained function with the simulated window and clock in scope
+     * Arguments are cloned to match Playwright's serialization
+     */
+    async evaluate(fn, arg) {
+        return this.compile(fn)(arg === undefined ? undefined : structuredClone(arg));
+    }
+
+    compile(fn) {
+        const SimulatedDate = createClockDate(this.clock);
+        return new Function('window', 'Date', `return (${fn.toString()});`)(this.window, SimulatedDate);
+    }
+
+    async ping() {
+        if (!this.room) {
+            throw new Error('Simulated room is closed');
+        }
+    }
+
+    async close() {
+        this.room = null;
+        this.window = null;
+    }
+
+    /**
+     * Play a scripted scenario against the room, one step at a time
+     * Players are referenced by name in steps, e.g.
+     *   { action: 'join', name: 'Alice', auth: 'auth-alice' }
+     *   { action: 'team', player: 'Alice', team: 1 }
+     *   { action: 'start' }
+     *   { action: 'kick', player: 'Alice' }
+     *   { action: 'kick', player: 'Alice', x: 300, speed: [8, 0] }   (kicked from x, ball flies at speed until the next wait)
+     *   { action: 'wait', ms: 500 }
+     *   { action: 'goal', team: 1 }
+     *   { action: 'chat', player: 'Alice', message: '!me' }
+     */
+    async run(steps) {
+        for (const step of steps) {
+            this.step(step);
+            await flushAsync();
+        }
+    }
+
+    step(step) {
+        const room = this.room;
+        if (!room) {
+            throw new Error('Simulated room is not open');
+        }
+
+        const playerByName = (name) => {
+            const player = room.players.find(p => p.name === name);
+            if (!player) {
+                throw new Error(`Simulation: unknown player "${name}"`);
+            }
+            return player;
+        };
+
+        switch (step.action) {
+            case 'join': {
+                const player = {
+                    id: room.nextPlayerId++,
+                    name: step.name,
+                    team: TEAM_SPECTATORS,
+                    admin: false,
+                    auth: step.auth === undefined ? null : step.auth,
+                    conn: step.conn || `sim-${step.name}`,
+                    position: { x: 0, y: 0 },
+                };
+                room.players.push(player);
+                room.emit('onPlayerJoin', { ...room.toPlayerObject(player), auth: player.auth, conn: player.conn });
+                break;
+            }
+            case 'leave': {
+                const player = playerByName(step.player);
+                room.players = room.players.filter(p => p.id !== player.id);
+                room.emit('onPlayerLeave', room.toPlayerObject(player));
+                break;
+            }
+            case 'team':
+                room.setPlayerTeam(playerByName(step.player).id, step.team);
+                break;
+            case 'start':
+                room.startGame();
+                break;
+            case 'stop':
+                room.stopGame();
+                break;
+            case 'pause':
+                room.pauseGame(true);
+                break;
+            case 'unpause':
+                room.pauseGame(false);
+                break;
+            case 'touch': {
+                // Ball ends up next to the player, detected by the tick loop
+                const player = playerByName(step.player);
+                room.ball = { x: player.position.x + PLAYER_RADIUS, y: player.position.y };
+                room.emit('onGameTick');
+                break;
+            }
+            case 'kick': {
+                const player = playerByName(step.player);
+                room.ball = { x: step.x !== undefined ? step.x : player.position.x + PLAYER_RADIUS, y: player.position.y };
+                room.ballSpeed = step.speed ? { xspeed: step.speed[0], yspeed: step.speed[1] } : { xspeed: 0, yspeed: 0 };
+                room.emit('onPlayerBallKick', room.toPlayerObject(player));
+                break;
+            }
+            case 'wait':
+                this.clock.now += step.ms;
+                if (room.scores && !room.paused) {
+                    room.scores.time += step.ms / 1000;
+                }
+                room.ball = { x: 0, y: 400 }; // Out of reach, so the tick doesn't register touches
+                room.emit('onGameTick');
+                room.ballSpeed = { xspeed: 0, yspeed: 0 }; // The ball stops after one tick of flight
+                break;
+            case 'goal': {
+                if (!room.scores) {
+                    throw new Error('Simulation: goal scored with no game running');
+                }
+                if (step.team === TEAM_RED) room.scores.red++; else room.scores.blue++;
+                room.emit('onTeamGoal', step.team);
+                const { red, blue, scoreLimit } = room.scores;
+                if (scoreLimit > 0 && (red >= scoreLimit || blue >= scoreLimit)) {
+                    room.emit('onTeamVictory', room.getScores());
+                    room.stopGame();
+                } else {
+                    room.resetPositions();
+                    room.emit('onPositionsReset');
+                }
+                break;
+            }
+            case 'victory':
+                room.emit('onTeamVictory', room.getScores());
+                room.stopGame();
+                break;
+            case 'chat': {
+                const player = playerByName(step.player);
+                const shown = room.emit('onPlayerChat', room.toPlayerObject(player), step.message);
+                if (shown !== false) {
+                    room.chatLog.push({ playerId: player.id, message: step.message });
+                }
+                break;
+            }
+            default:
+                throw new Error(`Simulation: unknown action "${step.action}"`);
+        }
+    }
+}
+
+// Let exposed-function promises (and their .then() callbacks in the room script) settle
+function flushAsync() {
+    return new Promise(resolve => setImmediate(resolve));
+}
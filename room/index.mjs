@@ -0,0 +1,6 @@
+export { DEFAULT_ROOM_SETTINGS, DEFAULT_STADIUMS, BALANCE_MODES, normalizeRoomSettings, RoomProfileStore } from './config.mjs';
+export { CUSTOM_STADIUM_PREFIX, StadiumLibrary, parseStadium } from './stadiums.mjs';
+export { roomScript } from './script.mjs';
+export { ROLES, AUTO_ADMIN_ROLES, COMMAND_ROLES, hasRole } from './roles.mjs';
+export { PlaywrightDriver } from './drivers/playwright.mjs';
+export { SimulatedDriver, SimulatedRoom } from './drivers/simulated.mjs';
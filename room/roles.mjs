@@ -0,0 +1,35 @@
+/**
+ * In-room roles, lowest to highest - a role can do everything the roles below it can
+ */
+export const ROLES = ['player', 'trusted', 'moderator', 'owner'];
+
+/**
+ * Roles that are given room admin when they join
+ * (everyone else stays a regular player, even if nobody else is admin)
+ */
+export const AUTO_ADMIN_ROLES = ['trusted', 'moderator', 'owner'];
+
+/**
+ * Lowest role allowed to use each in-room admin command
+ */
+export const COMMAND_ROLES = {
+    '!swap': 'trusted',
+    '!rr': 'trusted',
+    '!balance': 'trusted',
+    '!stadium': 'trusted',
+    '!stadiums': 'trusted',
+    '!kick': 'moderator',
+    '!mute': 'moderator',
+    '!unmute': 'moderator',
+    '!ban': 'moderator',
+    '!unban': 'moderator',
+    '!bans': 'moderator',
+    '!setrole': 'owner',
+};
+
+/**
+ * Does `role` reach `requiredRole`?
+ */
+export function hasRole(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
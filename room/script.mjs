@@ -0,0 +1,689 @@
+/**
+ * Room script - runs inside the Haxball headless page (or the simulated room)
+ *
+ * Everything here is serialized and evaluated by the room driver, so this
+ * function must stay self-contained: no imports and no references to
+ * module-level variables. Node-side code is reached through functions
+ * exposed on `window` (onRoomLinkSet, roomOn*, statsOn*), shared helpers are
+ * installed on `window` by the driver (createGoalAttribution, createMatchAnalytics, splitTeams).
+ * Node controls the room through window.roomCommands.
+ */
+export function roomScript({ config, settings, stadium, attributionConfig, analyticsConfig, adminCommands, balanceConfig, defaultStrength }) {
+    const room = window.HBInit(config);
+    if (stadium.contents) {
+        room.setCustomStadium(stadium.contents);
+    } else {
+        room.setDefaultStadium(stadium.name);
+    }
+    room.setScoreLimit(settings.scoreLimit);
+    room.setTimeLimit(settings.timeLimit);
+    room.setTeamsLock(settings.teamsLock);
+    room.onRoomLink = (url) => window.onRoomLinkSet(url);
+
+    // Stats tracking state
+    const attribution = window.createGoalAttribution(attributionConfig);
+    const analytics = window.createMatchAnalytics(analyticsConfig);
+    let gameState = {
+        isGameRunning: false,
+        matchGoals: {}, // { auth: { name, team, goals, assists } }
+        playerAuthMap: {}, // Map player.id -> { auth, name } (room.getPlayerList() doesn't include auth)
+        finalScores: null, // Saved from onTeamVictory, null if draw/stopped early
+        stadiumName: stadium.name, // Kept up to date by onStadiumChange
+        matchStadium: null, // Stadium the current match is played on
+        paused: false,
+        mutedPlayers: {}, // player.id -> true, chat from these players is dropped
+        playerConnMap: {}, // player.id -> conn (for bans, not in room.getPlayerList() either)
+        lastPushedSecond: null, // Match clock second of the last live state push
+        balanceMode: settings.balanceMode, // "off" or "auto", can be changed with !balance auto|off
+        strengths: {}, // auth -> balancing strength from the players table (refreshed after each match)
+        teamsBalancedBy: null, // "command" after !balance, cleared when someone moves a player by hand
+        matchBalance: null, // How the teams of the current match were picked (saved with the match)
+        matchClock: 0, // Last known match time in seconds (getScores() is null once the game has stopped)
+    };
+
+    function strengthOf(player) {
+        const authData = gameState.playerAuthMap[player.id];
+        const strength = authData ? gameState.strengths[authData.auth] : undefined;
+        return strength === undefined ? defaultStrength : strength;
+    }
+
+    // Split the players in teams (or everyone, if fewer than 2 are in a team) into balanced red/blue
+    function balanceTeams() {
+        let players = room.getPlayerList().filter(p => p.team !== 0);
+        if (players.length < 2) {
+            players = room.getPlayerList();
+        }
+
+        const { red, blue } = window.splitTeams(players.map(p => ({ id: p.id, strength: strengthOf(p) })), balanceConfig);
+        red.forEach(id => room.setPlayerTeam(id, 1));
+        blue.forEach(id => room.setPlayerTeam(id, 2));
+        return { red: red.length, blue: blue.length };
+    }
+
+    // Team a late joiner should go to: fewer players first, then lower total strength
+    // Returns 0 when both teams are full
+    function weakerTeam() {
+        const teams = { 1: { size: 0, strength: 0 }, 2: { size: 0, strength: 0 } };
+        room.getPlayerList().filter(p => p.team !== 0).forEach(p => {
+            teams[p.team].size++;
+            teams[p.team].strength += strengthOf(p);
+        });
+
+        const candidates = [1, 2].filter(team => teams[team].size < balanceConfig.MAX_TEAM_SIZE);
+        if (candidates.length === 0) return 0;
+        candidates.sort((a, b) => (teams[a].size - teams[b].size) || (teams[a].strength - teams[b].strength));
+        return candidates[0];
+    }
+
+    // Live room state for the admin dashboard, pushed to Node whenever something visible changes
+    function pushLiveState() {
+        if (!window.roomOnStateChange) return;
+
+        // getScores() can still return the last scores while onGameStop runs
+        const scores = gameState.isGameRunning ? room.getScores() : null;
+        gameState.lastPushedSecond = scores ? Math.floor(scores.time) : null;
+        window.roomOnStateChange({
+            players: window.roomCommands.listPlayers(),
+            gameRunning: !!scores,
+            paused: gameState.paused,
+            score: scores ? { red: scores.red, blue: scores.blue } : null,
+            elapsed: scores ? Math.floor(scores.time) : 0,
+            timeLimit: scores ? scores.timeLimit : settings.timeLimit * 60,
+            scoreLimit: scores ? scores.scoreLimit : settings.scoreLimit,
+            stadium: gameState.stadiumName,
+        });
+    }
+
+    // .hbr2 recording (Uint8Array) -> base64, exposed functions can't take binary data
+    function encodeReplay(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // Match time in seconds - stops while the game is paused, so time played follows it
+    function matchClock() {
+        const scores = room.getScores();
+        if (scores) {
+            gameState.matchClock = scores.time;
+        }
+        return gameState.matchClock;
+    }
+
+    function findPlayer(playerId) {
+        return room.getPlayerList().find(p => p.id === playerId) || null;
+    }
+
+    // Commands called from Node (driver.evaluate) - return { error } instead of throwing
+    window.roomCommands = {
+        setStadium(name, contents) {
+            if (room.getScores()) {
+                return { error: 'Stop the game before changing the stadium.' };
+            }
+            if (contents) {
+                room.setCustomStadium(contents);
+            } else {
+                room.setDefaultStadium(name);
+            }
+            gameState.stadiumName = name;
+            return { stadium: name };
+        },
+
+        listPlayers() {
+            return room.getPlayerList().map(p => ({
+                id: p.id,
+                name: p.name,
+                team: p.team,
+                admin: p.admin,
+                muted: !!gameState.mutedPlayers[p.id],
+                tracked: !!gameState.playerAuthMap[p.id],
+            }));
+        },
+
+        getPlayerIdentity(playerId) {
+            const player = findPlayer(playerId);
+            if (!player) return { error: `Player #${playerId} is not in the room.` };
+            const authData = gameState.playerAuthMap[playerId];
+            return {
+                id: player.id,
+                name: player.name,
+                auth: authData ? authData.auth : null,
+                conn: gameState.playerConnMap[playerId] || null,
+            };
+        },
+
+        kickPlayer(playerId, reason, ban) {
+            const player = findPlayer(playerId);
+            if (!player) return { error: `Player #${playerId} is not in the room.` };
+            room.kickPlayer(playerId, reason || '', ban);
+            return { name: player.name };
+        },
+
+        kickByIdentity(auth, conn, reason) {
+            const kicked = room.getPlayerList().filter(p => {
+                const authData = gameState.playerAuthMap[p.id];
+                return (auth && authData && authData.auth === auth) || (conn && gameState.playerConnMap[p.id] === conn);
+            });
+            kicked.forEach(p => room.kickPlayer(p.id, reason, false));
+            return { names: kicked.map(p => p.name) };
+        },
+
+        setAdminByAuth(auth, admin) {
+            const players = room.getPlayerList().filter(p => {
+                const authData = gameState.playerAuthMap[p.id];
+                return authData && authData.auth === auth;
+            });
+            players.forEach(p => room.setPlayerAdmin(p.id, admin));
+            return { names: players.map(p => p.name) };
+        },
+
+        swapTeams() {
+            if (room.getScores()) {
+                return { error: 'Zatrzymaj mecz przed zamianą drużyn.' };
+            }
+            room.getPlayerList()
+                .filter(p => p.team !== 0)
+                .forEach(p => room.setPlayerTeam(p.id, p.team === 1 ? 2 : 1));
+            return {};
+        },
+
+        balanceTeams() {
+            if (room.getScores()) {
+                return { error: 'Zatrzymaj mecz przed balansowaniem drużyn.' };
+            }
+            const sizes = balanceTeams();
+            gameState.teamsBalancedBy = 'command';
+            return sizes;
+        },
+
+        setBalanceMode(mode) {
+            gameState.balanceMode = mode;
+            return { mode };
+        },
+
+        restartGame() {
+            room.stopGame();
+            room.startGame();
+            return {};
+        },
+
+        movePlayer(playerId, team) {
+            const player = findPlayer(playerId);
+            if (!player) return { error: `Player #${playerId} is not in the room.` };
+            room.setPlayerTeam(playerId, team);
+            return { name: player.name };
+        },
+
+        setPlayerAdmin(playerId, admin) {
+            const player = findPlayer(playerId);
+            if (!player) return { error: `Player #${playerId} is not in the room.` };
+            room.setPlayerAdmin(playerId, admin);
+            return { name: player.name };
+        },
+
+        setPlayerMuted(playerId, muted) {
+            const player = findPlayer(playerId);
+            if (!player) return { error: `Player #${playerId} is not in the room.` };
+            if (muted) {
+                gameState.mutedPlayers[playerId] = true;
+                room.sendAnnouncement('🔇 Zostałeś wyciszony przez admina', playerId, 0xFF6666, 'bold', 1);
+            } else {
+                delete gameState.mutedPlayers[playerId];
+                room.sendAnnouncement('🔊 Możesz znowu pisać na czacie', playerId, 0x66FF66, 'bold', 1);
+            }
+            pushLiveState();
+            return { name: player.name };
+        },
+    };
+
+    // Helper: Record ball touch/kick for goal attribution
+    function recordBallTouch(player, kicked = false) {
+        if (!gameState.isGameRunning) return;
+        if (player.team === 0) return; // Skip spectators
+
+        const authData = gameState.playerAuthMap[player.id];
+        if (!authData) return; // Skip players without auth
+
+        attribution.recordTouch({
+            playerId: player.id,
+            auth: authData.auth,
+            name: player.name,
+            team: player.team,
+            timestamp: Date.now(),
+        });
+
+        const analyticsPlayer = { playerId: player.id, auth: authData.auth, team: player.team };
+        analytics.touch(analyticsPlayer);
+        if (kicked) {
+            analytics.kick(analyticsPlayer, room.getBallPosition());
+        }
+    }
+
+    // Player join
+    room.onPlayerJoin = (player) => {
+        if (player.conn) {
+            gameState.playerConnMap[player.id] = player.conn;
+        }
+
+        // Stats and commands only start once the ban check let the player in
+        const registerPlayer = () => {
+            // Left while the ban check was running
+            if (!room.getPlayer(player.id)) return;
+
+            // Store player auth mapping (room.getPlayerList() doesn't include auth)
+            if (player.auth) {
+                gameState.playerAuthMap[player.id] = {
+                    auth: player.auth,
+                    name: player.name,
+                };
+            }
+
+            // Only track players with valid auth (can be null if validation fails)
+            if (window.statsOnPlayerJoin && player.auth) {
+                window.statsOnPlayerJoin(player.auth, player.name);
+            } else if (!player.auth) {
+                console.log(`[Stats] Player joined without auth: ${player.name} (id: ${player.id})`);
+            }
+
+            pushLiveState();
+        };
+
+        // Bans and roles live in the database - Node answers with { kickReason } or { admin }
+        if (window.roomOnPlayerJoin) {
+            Promise.resolve(window.roomOnPlayerJoin(player.auth || null, player.conn || null))
+                .then(result => {
+                    if (result.kickReason) {
+                        room.kickPlayer(player.id, result.kickReason, false);
+                        return;
+                    }
+                    registerPlayer();
+                    if (result.admin) {
+                        room.setPlayerAdmin(player.id, true);
+                    }
+                    if (player.auth && result.strength !== undefined) {
+                        gameState.strengths[player.auth] = result.strength;
+                    }
+                    // Auto-balance: late joiners go straight to the weaker team
+                    if (gameState.balanceMode === 'auto') {
+                        const team = weakerTeam();
+                        if (team) room.setPlayerTeam(player.id, team);
+                    }
+                })
+                .catch(err => {
+                    console.error('Error checking joining player:', err);
+                    registerPlayer();
+                });
+        } else {
+            registerPlayer();
+        }
+
+        pushLiveState();
+    };
+
+    // Player leave
+    room.onPlayerLeave = (player) => {
+        // player.auth is only set in onPlayerJoin - take it from the mapping before removing it
+        const authData = gameState.playerAuthMap[player.id];
+        const auth = authData ? authData.auth : player.auth;
+        if (authData) {
+            delete gameState.playerAuthMap[player.id];
+        }
+        delete gameState.mutedPlayers[player.id];
+        delete gameState.playerConnMap[player.id];
+
+        if (window.statsOnPlayerLeave && auth) {
+            window.statsOnPlayerLeave(auth, gameState.isGameRunning ? matchClock() : null);
+        }
+
+        pushLiveState();
+    };
+
+    room.onPlayerTeamChange = (changedPlayer, byPlayer) => {
+        // Moved by hand (our own setPlayerTeam calls have no byPlayer)
+        if (byPlayer) {
+            gameState.teamsBalancedBy = null;
+        }
+
+        // Time played is followed per team (subs, switches, late joiners)
+        const authData = gameState.playerAuthMap[changedPlayer.id];
+        if (gameState.isGameRunning && authData && window.statsOnPlayerTeamChange) {
+            window.statsOnPlayerTeamChange(authData.auth, changedPlayer.name, changedPlayer.team, matchClock());
+        }
+        pushLiveState();
+    };
+    room.onPlayerAdminChange = () => pushLiveState();
+
+    room.onGamePause = () => {
+        gameState.paused = true;
+        pushLiveState();
+    };
+
+    room.onGameUnpause = () => {
+        gameState.paused = false;
+        pushLiveState();
+    };
+
+    // Game start
+    room.onGameStart = (byPlayer) => {
+        if (gameState.balanceMode === 'auto') {
+            balanceTeams();
+            gameState.matchBalance = 'auto';
+        } else {
+            gameState.matchBalance = gameState.teamsBalancedBy || 'manual';
+        }
+
+        gameState.isGameRunning = true;
+        gameState.matchClock = 0;
+        room.startRecording();
+        attribution.reset();
+        analytics.reset();
+        gameState.matchGoals = {};
+        gameState.finalScores = { red: 0, blue: 0 }; // Initialize to 0:0 for draw tracking
+        gameState.matchStadium = gameState.stadiumName;
+
+        const allPlayers = room.getPlayerList();
+
+        // Debug: Log all players and their state
+        console.log(`[Stats] Game starting - Total players in room: ${allPlayers.length}`);
+        allPlayers.forEach(p => {
+            const authData = gameState.playerAuthMap[p.id];
+            console.log(`  - Player: ${p.name}, Team: ${p.team}, HasAuth: ${!!authData}, ID: ${p.id}, Auth: ${authData?.auth || 'none'}`);
+        });
+
+        // Only include players with valid auth and in a team (use playerAuthMap)
+        const players = allPlayers
+            .filter(p => p.team !== 0 && gameState.playerAuthMap[p.id])
+            .map(p => {
+                const authData = gameState.playerAuthMap[p.id];
+                return {
+                    auth: authData.auth,
+                    name: p.name,
+                    team: p.team,
+                };
+            });
+
+        // Initialize match goals tracker
+        players.forEach(p => {
+            gameState.matchGoals[p.auth] = {
+                name: p.name,
+                team: p.team,
+                goals: 0,
+                assists: 0
+            };
+        });
+
+        if (players.length === 0) {
+            console.log('[Stats] WARNING: Match starting with 0 tracked players (all players lack auth or are spectators)');
+        }
+
+        // Announcement: Match started
+        room.sendAnnouncement('🏁 MECZ ROZPOCZĘTY!', null, 0xFFFFFF, 'bold', 2);
+        room.sendAnnouncement('🔴 Red vs Blue 🔵', null, 0xFFFFFF, 'normal', 1);
+
+        if (window.statsOnGameStart) {
+            window.statsOnGameStart(players);
+        }
+
+        gameState.paused = false;
+        pushLiveState();
+    };
+
+    // Game stop
+    room.onGameStop = (byPlayer) => {
+        if (!gameState.isGameRunning) return;
+        gameState.isGameRunning = false;
+        gameState.paused = false;
+        pushLiveState();
+
+        // Saved with the match, or dropped with it when there are no scores
+        const replay = room.stopRecording();
+        const endTime = matchClock();
+
+        console.log(`[Stats] [2/2] onGameStop fired - finalScores available: ${!!gameState.finalScores}`);
+
+        // Use scores from onTeamVictory (getScores() returns null after game ends)
+        // If no victory (draw/stopped early), try getScores() as fallback
+        let scores = gameState.finalScores || room.getScores();
+
+        if (!scores) {
+            console.log('[Stats] ERROR: No scores available in onGameStop (game stopped early or draw?)');
+            return;
+        }
+
+        console.log(`[Stats] Using scores - Red: ${scores.red}, Blue: ${scores.blue}, Source: ${gameState.finalScores ? 'onTeamVictory/onTeamGoal' : 'getScores()'}`);
+
+
+        // Teams at the final whistle - rosters (leavers, subs) are followed by the tracker,
+        // these only get their balancing strengths refreshed once the match is saved
+        const auths = room.getPlayerList()
+            .filter(p => p.team !== 0 && gameState.playerAuthMap[p.id])
+            .map(p => gameState.playerAuthMap[p.id].auth);
+
+        // Announcement: Match ended
+        room.sendAnnouncement('🏁 KONIEC MECZU!', null, 0xFFFFFF, 'bold', 2);
+        room.sendAnnouncement(`🔴 Red ${scores.red} - ${scores.blue} Blue 🔵`, null, 0xFFFFFF, 'bold', 1);
+
+        // Get top scorers from each team
+        const redScorers = Object.values(gameState.matchGoals)
+            .filter(p => p.team === 1 && p.goals > 0)
+            .sort((a, b) => b.goals - a.goals);
+
+        const blueScorers = Object.values(gameState.matchGoals)
+            .filter(p => p.team === 2 && p.goals > 0)
+            .sort((a, b) => b.goals - a.goals);
+
+        // Display top scorers
+        if (redScorers.length > 0 || blueScorers.length > 0) {
+            room.sendAnnouncement('⚽ Top strzelcy:', null, 0xFFFFFF, 'normal', 1);
+
+            if (redScorers.length > 0) {
+                const redText = redScorers.map(p => `${p.name} (${p.goals})`).join(', ');
+                room.sendAnnouncement(`  Red: ${redText}`, null, 0xFFFFFF, 'normal', 0);
+            }
+
+            if (blueScorers.length > 0) {
+                const blueText = blueScorers.map(p => `${p.name} (${p.goals})`).join(', ');
+                room.sendAnnouncement(`  Blue: ${blueText}`, null, 0xFFFFFF, 'normal', 0);
+            }
+        }
+
+        if (window.statsOnGameStop) {
+            Promise.resolve(window.statsOnGameStop({
+                scoreRed: scores.red,
+                scoreBlue: scores.blue,
+                stadium: gameState.matchStadium,
+                balanceMode: gameState.matchBalance,
+                analytics: analytics.summary(),
+                replay: replay ? encodeReplay(replay) : null,
+                time: endTime,
+            }))
+                // Stats changed - refresh the strengths used for balancing
+                .then(() => window.roomGetStrengths ? window.roomGetStrengths(auths) : {})
+                .then(strengths => Object.assign(gameState.strengths, strengths))
+                .catch(err => {
+                    console.error('Error saving match:', err);
+                });
+        }
+    };
+
+    // Team goal
+    room.onTeamGoal = (team) => {
+        // Find scorer/assister (deflections and own goals are handled by the attribution engine)
+        const { scorer, assister, ownGoal } = attribution.attributeGoal(team, Date.now());
+        analytics.goal(team, scorer, ownGoal);
+
+        if (!scorer) {
+            console.log('[Stats] Warning: No valid touches found for goal (team: ' + team + ')');
+        } else if (ownGoal) {
+            console.log('[Stats] Own goal detected: ' + scorer.name + ' (team ' + scorer.team + ') scored for team ' + team);
+        }
+
+        // Track goals for match summary
+        const isOwnGoal = ownGoal;
+        if (scorer && !isOwnGoal && gameState.matchGoals[scorer.auth]) {
+            gameState.matchGoals[scorer.auth].goals++;
+        }
+        if (assister && gameState.matchGoals[assister.auth]) {
+            gameState.matchGoals[assister.auth].assists++;
+        }
+
+        // Get current score for announcement (and save for onGameStop)
+        const scores = room.getScores();
+        if (scores) {
+            gameState.finalScores = scores; // Keep updating latest scores
+        }
+        const scoreText = scores ? `🔴 Red ${scores.red} - ${scores.blue} Blue 🔵` : 'Score unavailable';
+
+        // Announcement: Goal
+        if (isOwnGoal) {
+            room.sendAnnouncement(`😱 SAMOBÓJ! ${scorer.name}`, null, 0xFFFFFF, 'bold', 2);
+        } else if (scorer) {
+            let goalText = `⚽ GOOOL! ${scorer.name}`;
+            if (assister) {
+                goalText += ` - asysta: ${assister.name}`;
+            }
+            room.sendAnnouncement(goalText, null, 0xFFFFFF, 'bold', 2);
+        }
+        room.sendAnnouncement(scoreText, null, 0xFFFFFF, 'normal', 1);
+
+        if (window.statsOnTeamGoal) {
+            const goalInfo = scores ? { time: scores.time, scoreRed: scores.red, scoreBlue: scores.blue } : null;
+            window.statsOnTeamGoal(team, scorer, assister, goalInfo);
+        }
+
+        pushLiveState();
+    };
+
+    // Stadium changed (by us or by an admin in the room)
+    room.onStadiumChange = (newStadiumName) => {
+        gameState.stadiumName = newStadiumName;
+        pushLiveState();
+    };
+
+    // Kickoff after a goal - touches from the previous attack no longer count
+    room.onPositionsReset = () => {
+        attribution.kickoff();
+        analytics.kickoff();
+    };
+
+    // Team victory - save final scores
+    room.onTeamVictory = (scores) => {
+        // Save scores for onGameStop (getScores() returns null after game ends)
+        gameState.finalScores = scores;
+        gameState.matchClock = scores.time;
+        console.log(`[Stats] [1/2] onTeamVictory fired - Red: ${scores.red}, Blue: ${scores.blue}`);
+    };
+
+    // Player ball kick - track kicks (passes, shots)
+    room.onPlayerBallKick = (player) => {
+        recordBallTouch(player, true);
+    };
+
+    // Game tick - track ball touches (deflections, dribbling)
+    room.onGameTick = () => {
+        if (!gameState.isGameRunning) return;
+
+        // Keep the dashboard's match clock ticking (once per second of game time)
+        const scores = room.getScores();
+        if (scores) {
+            gameState.matchClock = scores.time;
+        }
+        if (scores && Math.floor(scores.time) !== gameState.lastPushedSecond) {
+            pushLiveState();
+        }
+
+        // Possession and shots - before this tick's touch, so a shot is judged by the ball speed right after the kick
+        if (scores) {
+            analytics.tick(scores.time, room.getDiscProperties(0));
+        }
+
+        const ballPosition = room.getBallPosition();
+        const players = room.getPlayerList();
+        const touchRadius = 15 + 10; // player radius + ball radius
+
+        // Find the closest player touching the ball
+        let closestPlayer = null;
+        let closestDistance = touchRadius;
+
+        for (const player of players) {
+            if (player.team === 0) continue; // Skip spectators
+
+            const playerDisc = room.getPlayerDiscProperties(player.id);
+            if (!playerDisc) continue;
+
+            // Calculate distance between player and ball
+            const dx = playerDisc.x - ballPosition.x;
+            const dy = playerDisc.y - ballPosition.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            // Track closest player within touch radius
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestPlayer = player;
+            }
+        }
+
+        // Record touch for the closest player only
+        if (closestPlayer) {
+            recordBallTouch(closestPlayer);
+        }
+    };
+
+    // Player chat - handle commands
+    room.onPlayerChat = (player, message) => {
+        const muted = Boolean(gameState.mutedPlayers[player.id]);
+        if (!message.startsWith('!')) {
+            if (muted) {
+                room.sendAnnouncement('🔇 Jesteś wyciszony', player.id, 0xFF6666, 'normal', 0);
+                return false;
+            }
+            return true;
+        }
+
+        // Only handle commands from players with valid auth (use playerAuthMap)
+        const command = message.trim().split(' ')[0].toLowerCase();
+        const isAdminCommand = adminCommands.includes(command);
+        const authData = gameState.playerAuthMap[player.id];
+        if (!authData) {
+            const reply = isAdminCommand ? '❌ Brak uprawnień (brak auth)' : '❌ Statystyki niedostępne (brak auth)';
+            room.sendAnnouncement(reply, player.id, 0xFFFFFF, "normal", 0);
+            return false;
+        }
+
+        // Admin commands are role-checked by Node (haxball.mjs), reply goes to the sender only
+        if (window.statsOnPlayerChat && isAdminCommand) {
+            Promise.resolve(window.statsOnPlayerChat(authData.auth, message, player.id))
+                .then(msg => {
+                    if (msg) room.sendAnnouncement(msg, player.id, 0xFFFFFF, "normal", 1);
+                })
+                .catch(err => {
+                    console.error('Error handling admin command:', err);
+                });
+            return false;
+        }
+
+        if (window.statsOnPlayerChat) {
+            // Echo command in gray - muted players still get their stats, but only they see them
+            const audience = muted ? player.id : null;
+            room.sendAnnouncement(`> ${message}`, audience, 0xAAAAAA, "normal", 0);
+
+            // Call async and handle response
+            Promise.resolve(window.statsOnPlayerChat(authData.auth, message, player.id))
+                .then(msg => {
+                    if (msg) {
+                        room.sendAnnouncement(msg, audience, 0xFFFFFF, "normal", 1);
+                        // Separator after response
+                        room.sendAnnouncement('─────────────────────', audience, 0xAAAAAA, "normal", 0);
+                    }
+                })
+                .catch(err => {
+                    console.error('Error handling chat command:', err);
+                });
+            return false; // Prevent message from showing in chat
+        }
+
+        return !muted;
+    };
+}
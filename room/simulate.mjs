@@ -0,0 +1,151 @@
+/**
+ * Run a scripted scenario against the simulated room, end to end through
+ * haxball.mjs and the stats tracker - no Playwright server or token needed.
+ *
+ * Usage: npm run simulate [-- path/to/scenario.json]
+ * Without an argument every scenario in room/scenarios/ is run.
+ *
+ * Besides the SimulatedDriver actions, scenarios can set up roles and seasons:
+ *   { "action": "setRole", "auth": "...", "role": "moderator" }
+ *   { "action": "newSeason", "name": "Sezon testowy" }
+ *     - closes the current season and opens a new one (the name is optional)
+ *
+ * and contain checks:
+ *   { "action": "expectAnnouncement", "text": "GOOOL! Alice", "exact": false }
+ *     - an announcement containing (or, with exact, equal to) `text` was sent
+ *       since the previous check ("absent": true checks that none was)
+ *   { "action": "expectPlayer", "auth": "...", "stats": { "goals": 1 } }
+ *     - the player's row in the stats database has these values
+ *   { "action": "expectKick", "player": "Troll", "absent": false }
+ *     - the player was kicked since the previous expectKick
+ *   { "action": "expectTeam", "player": "Alice", "team": 1 }
+ *     - the player is in the room, in this team (0 = spectators, 1 = red, 2 = blue)
+ *
+ * After the scenarios a backup of the stats they recorded is restored the way the admin panel does it,
+ * with the room stopped.
+ *
+ * Exits with code 1 when a check fails.
+ */
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const scenariosDir = join(dirname(fileURLToPath(import.meta.url)), 'scenarios');
+const scenarioPaths = process.argv[2]
+    ? [process.argv[2]]
+    : readdirSync(scenariosDir).filter(f => f.endsWith('.json')).sort().map(f => join(scenariosDir, f));
+
+// Must be set before haxball.mjs is loaded - it reads them at import time
+const dataDir = mkdtempSync(join(tmpdir(), 'hax-sim-'));
+process.env.ROOM_DRIVER = 'simulated';
+process.env.STATS_DB_PATH = join(dataDir, 'stats.db');
+process.env.WEBHOOKS_PATH = join(dataDir, 'webhooks.json');
+
+const { start, stop, getRoomState, getRoomDriver, getStatsTracker, getStatsDatabase, getAdminStatsDatabase, getReplayStore,
+    restoreStatsBackup, setPlayerRole } = await import('../haxball.mjs');
+
+async function waitForRunning(timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (getRoomState().status !== 'running') {
+        if (Date.now() > deadline) {
+            throw new Error(`Room did not start: ${getRoomState().status_message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+let failures = 0;
+
+function check(passed, description) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) failures++;
+}
+
+async function runScenario(scenarioPath) {
+    console.log(`\n▶️  Scenario: ${scenarioPath}`);
+    const steps = JSON.parse(readFileSync(scenarioPath, 'utf8'));
+
+    try {
+        await start(null);
+        await waitForRunning();
+
+        const driver = getRoomDriver();
+        let announcementCursor = 0;
+        let kickCursor = 0;
+
+        for (const step of steps) {
+            if (step.action === 'expectAnnouncement') {
+                const announcements = driver.room.announcements.slice(announcementCursor);
+                const found = announcements.some(a => step.exact ? a.message === step.text : a.message.includes(step.text));
+                check(step.absent ? !found : found, `${step.absent ? 'no ' : ''}announcement ${step.exact ? 'is' : 'contains'} "${step.text}"`);
+                announcementCursor = driver.room.announcements.length;
+            } else if (step.action === 'setRole') {
+                await setPlayerRole({ auth: step.auth, role: step.role, grantedBy: 'simulation' });
+            } else if (step.action === 'newSeason') {
+                getStatsTracker().startNewSeason(step.name);
+            } else if (step.action === 'expectKick') {
+                const found = driver.room.kicks.slice(kickCursor).some(k => k.name === step.player);
+                check(step.absent ? !found : found, `${step.player} was ${step.absent ? 'not ' : ''}kicked`);
+                kickCursor = driver.room.kicks.length;
+            } else if (step.action === 'expectTeam') {
+                const player = driver.room.players.find(p => p.name === step.player);
+                check(player && player.team === step.team, `${step.player} is in team ${step.team}${player ? ` (got ${player.team})` : ' (not in room)'}`);
+            } else if (step.action === 'expectPlayer') {
+                const player = getStatsTracker().db.getPlayer(step.auth);
+                const mismatches = Object.entries(step.stats)
+                    .filter(([key, value]) => !player || player[key] !== value)
+                    .map(([key, value]) => `${key}: expected ${value}, got ${player ? player[key] : 'no player'}`);
+                check(mismatches.length === 0, `player ${step.auth} ${JSON.stringify(step.stats)}${mismatches.length ? ` (${mismatches.join(', ')})` : ''}`);
+            } else {
+                await driver.run([step]);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Simulation failed:', error);
+        failures++;
+    } finally {
+        await stop('Simulation finished.');
+    }
+}
+
+/**
+ * Back up the recorded stats, clear them and restore the backup: the matches come back, and a replay
+ * deleted after the backup was made is no longer linked to its match
+ */
+async function checkBackupRestore() {
+    console.log('\n▶️  Backup restore');
+    try {
+        const db = getAdminStatsDatabase();
+        const { total } = db.listMatches({}, { limit: 1 });
+        const backupPath = await db.createBackup();
+
+        const [deletedReplay] = db.listReplayFiles();
+        if (deletedReplay) {
+            getReplayStore().remove([deletedReplay]);
+        }
+        await db.clearStats();
+
+        const result = await restoreStatsBackup(basename(backupPath));
+        const restored = getStatsDatabase();
+        const restoredTotal = restored.listMatches({}, { limit: 1 }).total;
+        check(total > 0 && restoredTotal === total, `${restoredTotal} of ${total} match(es) restored from ${result.restoredFrom}`);
+
+        const stored = new Set(getReplayStore().list().map(replay => replay.filename));
+        const linked = restored.listReplayFiles();
+        check(Boolean(deletedReplay) && !linked.includes(deletedReplay) && linked.every(filename => stored.has(filename)),
+            `restored matches link only stored replays (${linked.length} linked, ${deletedReplay || 'none'} deleted)`);
+    } catch (error) {
+        console.error('❌ Backup restore failed:', error);
+        failures++;
+    }
+}
+
+for (const scenarioPath of scenarioPaths) {
+    await runScenario(scenarioPath);
+}
+await checkBackupRestore();
+rmSync(dataDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? '🎉 Simulation passed' : `💥 ${failures} check(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
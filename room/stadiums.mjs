@@ -0,0 +1,166 @@
+import { mkdirSync, readdirSync, readFileSync, statSync, unlinkSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+const MAX_STADIUM_SIZE = 1024 * 1024; // 1 MB - real maps are a few hundred KB at most
+const STADIUM_ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+const STADIUM_ARRAYS = ['vertexes', 'segments', 'goals', 'discs', 'planes', 'joints'];
+
+/**
+ * Prefix used in room settings to tell custom stadiums apart from built-in ones
+ */
+export const CUSTOM_STADIUM_PREFIX = 'custom:';
+
+/**
+ * Parse and validate a .hbs stadium file, returns the parsed stadium
+ */
+export function parseStadium(contents) {
+    if (typeof contents !== 'string' || contents.trim().length === 0) {
+        throw new Error('Stadium file is empty');
+    }
+    if (Buffer.byteLength(contents) > MAX_STADIUM_SIZE) {
+        throw new Error(`Stadium file is larger than ${MAX_STADIUM_SIZE / 1024} KB`);
+    }
+
+    let stadium;
+    try {
+        stadium = JSON.parse(contents);
+    } catch (e) {
+        throw new Error(`Stadium file is not valid JSON: ${e.message}`);
+    }
+
+    if (typeof stadium !== 'object' || stadium === null || Array.isArray(stadium)) {
+        throw new Error('Stadium must be a JSON object');
+    }
+    if (typeof stadium.name !== 'string' || !stadium.name.trim() || stadium.name.length > 60) {
+        throw new Error('Stadium must have a name (1-60 characters)');
+    }
+    for (const dimension of ['width', 'height']) {
+        if (typeof stadium[dimension] !== 'number' || stadium[dimension] <= 0) {
+            throw new Error(`Stadium ${dimension} must be a positive number`);
+        }
+    }
+    for (const key of STADIUM_ARRAYS) {
+        if (stadium[key] !== undefined && !Array.isArray(stadium[key])) {
+            throw new Error(`Stadium "${key}" must be an array`);
+        }
+    }
+
+    return stadium;
+}
+
+/**
+ * StadiumLibrary - custom .hbs stadiums stored as files in a data directory
+ */
+export class StadiumLibrary {
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    /**
+     * Turn a stadium name into its id (file name without .hbs)
+     */
+    static toId(name) {
+        return name
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40);
+    }
+
+    pathFor(id) {
+        if (!STADIUM_ID_PATTERN.test(id)) {
+            throw new Error('Invalid stadium id');
+        }
+        return join(this.dir, `${id}.hbs`);
+    }
+
+    /**
+     * List stored stadiums with metadata
+     */
+    list() {
+        let files;
+        try {
+            files = readdirSync(this.dir);
+        } catch (e) {
+            // Directory doesn't exist yet
+            return [];
+        }
+
+        return files
+            .filter(file => file.endsWith('.hbs'))
+            .map(filename => {
+                const id = filename.slice(0, -'.hbs'.length);
+                const filePath = join(this.dir, filename);
+                const stats = statSync(filePath);
+                let name = id;
+                try {
+                    name = JSON.parse(readFileSync(filePath, 'utf8')).name;
+                } catch (e) {
+                    console.error(`[Stadiums] Could not read ${filename}:`, e.message);
+                }
+                return { id, name, size: stats.size, uploadedAt: stats.mtime };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get raw .hbs contents of a stadium, or null if it doesn't exist
+     */
+    get(id) {
+        try {
+            return readFileSync(this.pathFor(id), 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    /**
+     * Validate and store a stadium, replacing one with the same name
+     */
+    add(contents) {
+        const stadium = parseStadium(contents);
+        const id = StadiumLibrary.toId(stadium.name);
+        if (!id) {
+            throw new Error('Stadium name must contain letters or digits');
+        }
+
+        mkdirSync(this.dir, { recursive: true });
+        writeFileSync(this.pathFor(id), contents);
+        console.log(`[Stadiums] Stored stadium "${stadium.name}" as ${id}.hbs`);
+        return { id, name: stadium.name };
+    }
+
+    /**
+     * Delete a stadium, returns false if it didn't exist
+     */
+    delete(id) {
+        try {
+            unlinkSync(this.pathFor(id));
+        } catch (e) {
+            if (e.code === 'ENOENT') return false;
+            throw e;
+        }
+        console.log(`[Stadiums] Deleted stadium ${id}.hbs`);
+        return true;
+    }
+
+    /**
+     * Resolve a room settings stadium value into what the room script needs:
+     * { name, contents } where contents is null for built-in stadiums
+     */
+    resolve(stadium) {
+        if (!stadium.startsWith(CUSTOM_STADIUM_PREFIX)) {
+            return { name: stadium, contents: null };
+        }
+
+        const id = stadium.slice(CUSTOM_STADIUM_PREFIX.length);
+        const contents = this.get(id);
+        if (contents === null) {
+            throw new Error(`Custom stadium "${id}" not found`);
+        }
+        return { name: JSON.parse(contents).name, contents };
+    }
+}
@@ -1,11 +1,410 @@
 import http from 'http';
 import fs from 'fs';
+import crypto from 'crypto';
 import url from 'url';
 import path from 'path';
-import { start, stop, getRoomState, setStateUpdateCallback, getStatsTracker } from './haxball.mjs';
+import { start, stop, getRoomState, setStateUpdateCallback, getStatsTracker, getStatsDatabase, migrateStatsDatabase, getReplayStore, getStadiumLibrary, getWebhooks, setStadium,
+    listPlayers, kickPlayer, movePlayer, setPlayerAdmin, setPlayerMuted, banPlayer, addBan, listBans, removeBan,
+    listRoles, setPlayerRole, startNewSeason, restoreStatsBackup } from './haxball.mjs';
+import { DEFAULT_ROOM_SETTINGS, DEFAULT_STADIUMS, ROLES, RoomProfileStore } from './room/index.mjs';
+import { LEADERBOARD_CONFIG, findLeaderboardCategory, getLeaderboardPage } from './stats/index.mjs';
+import { WEBHOOK_EVENTS, WEBHOOK_FORMATS } from './webhooks/index.mjs';
+import { metrics, httpMetrics } from './metrics/index.mjs';
+import { ADMIN_CONFIG, ADMIN_ROLES, AdminAccounts, hasAdminRole } from './admin/index.mjs';
 
 const PORT = process.env.PORT || 8080;
 
+// Public reads never migrate the stats database, so it's brought up to date here
+migrateStatsDatabase();
+
+// Saved room profiles (named room settings selectable in admin.html)
+const profileStore = new RoomProfileStore('./data/room-profiles.json');
+
+// Admin panel accounts and sessions - USERNAME/PASSWORD from the environment only create the first owner,
+// without them the first owner is created on the login page (/setup). With them /setup stays closed,
+// and invalid ones stop the server rather than leaving it without any account
+const ENV_OWNER_CONFIGURED = Boolean(process.env.USERNAME && process.env.PASSWORD);
+const adminAccounts = new AdminAccounts(process.env.ADMIN_DB_PATH || './data/admin.db');
+adminAccounts.initialize();
+if (process.env.PASSWORD && !process.env.USERNAME) {
+    console.error('[Admin] PASSWORD is set without USERNAME, set both or neither.');
+    process.exit(1);
+}
+if (adminAccounts.countUsers() === 0 && ENV_OWNER_CONFIGURED) {
+    try {
+        await adminAccounts.createUser(process.env.USERNAME, process.env.PASSWORD, 'owner');
+    } catch (error) {
+        console.error(`[Admin] Could not create the owner account from USERNAME/PASSWORD: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+const SESSION_COOKIE = 'hax_session';
+
+// Minimum admin role of each route behind the login, routes not listed here need owner
+// (also the known routes for the latency metric, see metricsRoute())
+const ROUTE_ROLES = {
+    '/': 'viewer',
+    '/events': 'viewer',
+    '/me': 'viewer',
+    '/change-password': 'viewer',
+    '/list-profiles': 'viewer',
+    '/list-stadiums': 'viewer',
+    '/players': 'viewer',
+    '/list-bans': 'viewer',
+    '/list-roles': 'viewer',
+    '/list-seasons': 'viewer',
+    '/list-replays': 'viewer',
+    '/download-replay': 'viewer',
+    '/match-details': 'viewer',
+    '/player-profile': 'viewer',
+    '/head-to-head': 'viewer',
+    '/duo': 'viewer',
+    '/api/matches': 'viewer',
+    '/leaderboard': 'viewer',
+    '/start': 'operator',
+    '/stop': 'operator',
+    '/save-profile': 'operator',
+    '/delete-profile': 'operator',
+    '/upload-stadium': 'operator',
+    '/delete-stadium': 'operator',
+    '/set-stadium': 'operator',
+    '/add-ban': 'operator',
+    '/delete-ban': 'operator',
+    '/set-role': 'operator',
+    '/backups': 'owner',
+    '/list-backups': 'owner',
+    '/download-backup': 'owner',
+    '/restore-backup': 'owner',
+    '/clear-stats': 'owner',
+    '/delete-player-stats': 'owner',
+    '/delete-test-players': 'owner',
+    '/new-season': 'owner',
+    '/list-webhooks': 'owner',
+    '/save-webhook': 'owner',
+    '/delete-webhook': 'owner',
+    '/test-webhook': 'owner',
+    '/list-users': 'owner',
+    '/save-user': 'owner',
+    '/delete-user': 'owner',
+};
+
+// Moderation of a player in the room: /players/<id>/<action>
+const PLAYER_ACTION_PATTERN = /^\/players\/\d+\/(kick|ban|move|admin|mute)$/;
+
+function routeRole(pathname) {
+    if (PLAYER_ACTION_PATTERN.test(pathname)) return 'operator';
+    return ROUTE_ROLES[pathname] || 'owner';
+}
+
+function sessionToken(req) {
+    const cookie = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${SESSION_COOKIE}=`));
+    return cookie ? cookie.slice(SESSION_COOKIE.length + 1) : null;
+}
+
+function sessionCookie(req, token, maxAge) {
+    const secure = req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAge}${secure}`;
+}
+
+// Failed logins per "<address>|<username>" => { count, since, lockedUntil }
+const loginFailures = new Map();
+
+/**
+ * Check a username and password (login form or Basic auth) with a lockout after repeated failures
+ * Returns { user } or { status, message }
+ */
+async function checkCredentials(req, username, password) {
+    const key = `${req.socket.remoteAddress}|${String(username).toLowerCase()}`;
+    const now = Date.now();
+    const failures = loginFailures.get(key);
+    if (failures && failures.lockedUntil > now) {
+        return { status: 429, message: `Too many failed logins, try again in ${Math.ceil((failures.lockedUntil - now) / 60000)} min.` };
+    }
+
+    const user = await adminAccounts.authenticate(username, password);
+    if (user) {
+        loginFailures.delete(key);
+        return { user };
+    }
+
+    const entry = failures && now - failures.since < ADMIN_CONFIG.LOGIN_LOCKOUT ? failures : { count: 0, since: now, lockedUntil: 0 };
+    entry.count++;
+    if (entry.count >= ADMIN_CONFIG.LOGIN_MAX_FAILURES) {
+        entry.lockedUntil = now + ADMIN_CONFIG.LOGIN_LOCKOUT;
+        console.log(`[Admin] Login locked for ${username} from ${req.socket.remoteAddress}`);
+    }
+    loginFailures.set(key, entry);
+    if (loginFailures.size > 1000) {
+        for (const [k, e] of loginFailures) {
+            if (now - e.since >= ADMIN_CONFIG.LOGIN_LOCKOUT && e.lockedUntil <= now) loginFailures.delete(k);
+        }
+    }
+    return { status: 401, message: "Invalid username or password." };
+}
+
+// Verified Basic auth headers (sha256) => { username, expires }, so a script polling the API
+// doesn't cost a scrypt per request. Dropped when the user's password changes or the user is deleted
+const basicAuthCache = new Map();
+
+/**
+ * Admin user of a request: session cookie (admin panel) or Basic auth with an account (scripts), null if neither
+ */
+async function authenticateRequest(req) {
+    const user = adminAccounts.getSessionUser(sessionToken(req));
+    if (user) return user;
+
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('Basic ')) {
+        const cacheKey = crypto.createHash('sha256').update(authHeader).digest('hex');
+        const cached = basicAuthCache.get(cacheKey);
+        if (cached && cached.expires > Date.now()) {
+            return adminAccounts.getUser(cached.username);
+        }
+
+        const credentials = Buffer.from(authHeader.slice('Basic '.length), 'base64').toString();
+        const separator = credentials.indexOf(':');
+        const result = await checkCredentials(req, credentials.slice(0, separator), credentials.slice(separator + 1));
+        if (!result.user) return null;
+
+        if (basicAuthCache.size > 1000) {
+            for (const [key, entry] of basicAuthCache) {
+                if (entry.expires <= Date.now()) basicAuthCache.delete(key);
+            }
+        }
+        basicAuthCache.set(cacheKey, { username: result.user.username, expires: Date.now() + ADMIN_CONFIG.BASIC_AUTH_CACHE_TTL });
+        return result.user;
+    }
+    return null;
+}
+
+/**
+ * Close the /events streams of `predicate(client)` - streams outlive the session that opened them otherwise
+ */
+function closeEventStreams(predicate) {
+    for (const client of clients.filter(predicate)) {
+        client.res.end();
+    }
+    clients = clients.filter(client => !predicate(client));
+}
+
+/**
+ * After a password change or deletion: forget the user's cached Basic auth
+ * and close their /events streams, except the ones of `keepToken` (the session that changed it)
+ */
+function revokeAdminAccess(username, keepToken = null) {
+    const name = username.toLowerCase();
+    for (const [key, entry] of basicAuthCache) {
+        if (entry.username.toLowerCase() === name) basicAuthCache.delete(key);
+    }
+    closeEventStreams(client => client.username.toLowerCase() === name && (!keepToken || client.token !== keepToken));
+}
+
+/**
+ * Log in as `user`: new session, cookie and the JSON response
+ */
+function startSession(req, res, user, message) {
+    const token = adminAccounts.createSession(user);
+    res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Set-Cookie': sessionCookie(req, token, Math.floor(ADMIN_CONFIG.SESSION_TTL / 1000)),
+    });
+    res.end(JSON.stringify({ message, user: { username: user.username, role: user.role } }));
+}
+
+// Public read-only stats API (no admin login), see handlePublicApi()
+const API_V1_PREFIX = '/api/v1/';
+const API_PAGE_SIZE = 20;
+const API_MAX_PAGE_SIZE = 100;
+
+// Public stats website (no admin login), the pages only read the /api/v1 endpoints
+const PUBLIC_PAGES = {
+    '/stats': 'stats-leaderboard.html',
+    '/stats/player': 'stats-player.html',
+    '/stats/match': 'stats-match.html',
+};
+
+/**
+ * Parse ?page=&limit= - returns { page, limit } or { error }
+ * `limit` stays undefined when not given, so callers apply their own default
+ */
+function parsePageQuery(query) {
+    const page = Number(query.page || 1);
+    const limit = query.limit ? Number(query.limit) : undefined;
+    if (!Number.isInteger(page) || page < 1 || (limit !== undefined && (!Number.isInteger(limit) || limit < 1))) {
+        return { error: "Page and limit must be positive integers." };
+    }
+    return { page, limit };
+}
+
+/**
+ * Parse the match list query:
+ * ?page=&limit=&player=<auth>&from=&to=<YYYY-MM-DD[ HH:MM]>&score=<red>-<blue>&minDuration=&maxDuration=<seconds>
+ * Returns { filters, page, limit } (filters as in StatsDatabase.listMatches()) or { error }
+ */
+function parseMatchQuery(query) {
+    const { player, from, to, score, minDuration, maxDuration } = query;
+    const { error, page, limit } = parsePageQuery(query);
+    const datePattern = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/;
+    const isCount = (value) => value === undefined || /^\d+$/.test(value);
+    if (error) {
+        return { error };
+    } else if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+        return { error: "Dates must be YYYY-MM-DD or YYYY-MM-DD HH:MM." };
+    } else if (score && !/^\d+-\d+$/.test(score)) {
+        return { error: "Score must be <red>-<blue>, e.g. 3-1." };
+    } else if (!isCount(minDuration) || !isCount(maxDuration)) {
+        return { error: "Durations must be whole seconds." };
+    }
+
+    const [scoreRed, scoreBlue] = score ? score.split('-').map(Number) : [];
+    const filters = {
+        player,
+        from: from && from.replace('T', ' '),
+        to: to && to.replace('T', ' '),
+        scoreRed,
+        scoreBlue,
+        minDuration: minDuration !== undefined ? Number(minDuration) : undefined,
+        maxDuration: maxDuration !== undefined ? Number(maxDuration) : undefined,
+    };
+    return { filters, page, limit };
+}
+
+/**
+ * Stats reads shared by /api/v1 and the admin panel - each returns { status, body }
+ */
+
+// GET ?page=&limit=&<filters as parseMatchQuery()> - newest first with rosters
+function readMatchList(db, query) {
+    const { error, filters, page, limit = API_PAGE_SIZE } = parseMatchQuery(query);
+    if (error || limit > API_MAX_PAGE_SIZE) {
+        return { status: 400, body: { message: error || `Limit must be at most ${API_MAX_PAGE_SIZE}.` } };
+    }
+    const { total, matches } = db.listMatches(filters, { limit, offset: (page - 1) * limit });
+    return { status: 200, body: { page, limit, pages: Math.max(1, Math.ceil(total / limit)), total, matches } };
+}
+
+// One player (by auth or name) with best partners
+function readPlayer(db, id) {
+    const player = id ? db.getPlayer(id) || db.getPlayerByName(id) : null;
+    if (!player) {
+        return { status: 404, body: { message: `Player ${id || ''} not found.` } };
+    }
+    return { status: 200, body: { ...player, bestPartners: db.getBestPartners(player.auth) } };
+}
+
+// GET ?category=&page=&limit= - see stats/leaderboards.mjs
+function readLeaderboard(db, query) {
+    const category = findLeaderboardCategory(query.category || 'rating');
+    const { error, page, limit = LEADERBOARD_CONFIG.PAGE_SIZE } = parsePageQuery(query);
+    if (!category) {
+        return { status: 400, body: { message: `Unknown category: ${query.category}` } };
+    }
+    if (error || limit > LEADERBOARD_CONFIG.MAX_PAGE_SIZE) {
+        return { status: 400, body: { message: error || `Limit must be at most ${LEADERBOARD_CONFIG.MAX_PAGE_SIZE}.` } };
+    }
+    return { status: 200, body: getLeaderboardPage(db, category, page, limit) };
+}
+
+/**
+ * Send a public API response - 200s carry an ETag and become 304 when the client already has them
+ */
+function sendApiJson(req, res, status, body) {
+    const json = JSON.stringify(body);
+    if (status !== 200) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(json);
+        return;
+    }
+
+    const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+    const headers = { 'ETag': etag, 'Cache-Control': 'no-cache' };
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+    res.end(json);
+}
+
+/**
+ * Public read-only stats API - works while the room is stopped (reads the stats database directly)
+ *
+ * GET /api/v1/players?page=&limit=               players with at least one game, by name
+ * GET /api/v1/players/<auth or name>             one player with best partners
+ * GET /api/v1/leaderboard?category=&page=&limit= see stats/leaderboards.mjs
+ * GET /api/v1/matches?page=&limit=&<filters>     newest first with rosters, filters as parseMatchQuery()
+ * GET /api/v1/matches/<id>                       one match with roster and goals
+ */
+function handlePublicApi(req, res, pathname, query) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    if (req.method !== 'GET') {
+        sendApiJson(req, res, 405, { message: "Method not allowed." });
+        return;
+    }
+
+    const db = getStatsDatabase();
+    if (!db) {
+        sendApiJson(req, res, 503, { message: "No stats recorded yet." });
+        return;
+    }
+
+    let segments;
+    try {
+        segments = pathname.slice(API_V1_PREFIX.length).split('/').map(decodeURIComponent);
+    } catch (error) {
+        // URIError from a malformed escape like %E0%A4%A
+        sendApiJson(req, res, 400, { message: "Malformed URL escape." });
+        return;
+    }
+
+    try {
+        const [resource, id, ...rest] = segments;
+        if (rest.length > 0) {
+            sendApiJson(req, res, 404, { message: "Not found." });
+        } else if (resource === 'players' && !id) {
+            const { error, page, limit = API_PAGE_SIZE } = parsePageQuery(query);
+            if (error || limit > API_MAX_PAGE_SIZE) {
+                sendApiJson(req, res, 400, { message: error || `Limit must be at most ${API_MAX_PAGE_SIZE}.` });
+                return;
+            }
+            const { total, players } = db.listPlayers({ limit, offset: (page - 1) * limit });
+            sendApiJson(req, res, 200, { page, limit, pages: Math.max(1, Math.ceil(total / limit)), total, players });
+        } else if (resource === 'players') {
+            const { status, body } = readPlayer(db, id);
+            sendApiJson(req, res, status, body);
+        } else if (resource === 'leaderboard' && !id) {
+            const { status, body } = readLeaderboard(db, query);
+            sendApiJson(req, res, status, body);
+        } else if (resource === 'matches' && !id) {
+            const { status, body } = readMatchList(db, query);
+            sendApiJson(req, res, status, body);
+        } else if (resource === 'matches') {
+            const match = /^\d+$/.test(id) ? db.getMatch(Number(id)) : null;
+            if (!match) {
+                sendApiJson(req, res, 404, { message: `Match ${id} not found.` });
+                return;
+            }
+            sendApiJson(req, res, 200, match);
+        } else {
+            sendApiJson(req, res, 404, { message: "Not found." });
+        }
+    } catch (error) {
+        sendApiJson(req, res, 500, { message: `Failed to read stats: ${error.message}` });
+    }
+}
+
 // Array to hold connected SSE clients
 let clients = [];
 
@@ -19,10 +418,92 @@ function sendStateToAllClients() {
 // Register the callback in the haxball module
 setStateUpdateCallback(sendStateToAllClients);
 
+// Prometheus metrics read from the current state on every scrape of /metrics
+// (counters are recorded by haxball.mjs, request latency below). With METRICS_TOKEN set,
+// scrapes need "Authorization: Bearer <token>", otherwise /metrics is public like /api/v1
+const ROOM_STATUSES = ['stopped', 'starting', 'running', 'reconnecting', 'stopping', 'error'];
+const API_V1_RESOURCES = ['players', 'leaderboard', 'matches'];
+
+metrics.gauge('haxball_room_status', 'Current room status (1 for the active status)', ['status'], () => {
+    const { status } = getRoomState();
+    return ROOM_STATUSES.map(s => ({ labels: { status: s }, value: s === status ? 1 : 0 }));
+});
+metrics.gauge('haxball_room_uptime_seconds', 'Seconds since the current room link was received (0 when not running)', [], () => {
+    const { status, running_since } = getRoomState();
+    return [{ value: status === 'running' && running_since ? Math.floor((Date.now() - running_since) / 1000) : 0 }];
+});
+metrics.gauge('haxball_players_online', 'Players in the room by team', ['team'], () => {
+    const players = getRoomState().live?.players || [];
+    return ['spectators', 'red', 'blue'].map((team, i) => ({ labels: { team }, value: players.filter(p => p.team === i).length }));
+});
+metrics.gauge('haxball_sse_clients', 'Admin panels connected to /events', [], () => [{ value: clients.length }]);
+metrics.gauge('haxball_stats_db_size_bytes', 'Size of the stats database including its WAL file', [], () => {
+    const db = getStatsDatabase();
+    if (!db) return [{ value: 0 }];
+    const sizeOf = (file) => (fs.existsSync(file) ? fs.statSync(file).size : 0);
+    return [{ value: sizeOf(db.dbPath) + sizeOf(`${db.dbPath}-wal`) }];
+});
+metrics.gauge('haxball_backups', 'Stats database backups on disk', [], () => {
+    const db = getStatsDatabase();
+    return [{ value: db ? db.listBackups().length : 0 }];
+});
+
+/**
+ * Constant-time comparison of a request header with the expected value
+ */
+function tokenMatches(actual, expected) {
+    const actualBuffer = Buffer.from(String(actual || ''));
+    const expectedBuffer = Buffer.from(expected);
+    return actualBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(actualBuffer, expectedBuffer);
+}
+
+// Routes outside the admin login, for the latency metric
+const PUBLIC_ROUTES = ['/metrics', '/join', '/login', '/login-status', '/setup', '/logout', ...Object.keys(PUBLIC_PAGES)];
+
+/**
+ * Route label of the latency metric - only known routes get their own label (ids folded away),
+ * any other path is "other" whatever its status, so requests can't create new series
+ */
+function metricsRoute(pathname) {
+    if (pathname.startsWith(API_V1_PREFIX)) {
+        const [resource, id] = pathname.slice(API_V1_PREFIX.length).split('/');
+        return API_V1_RESOURCES.includes(resource) ? `${API_V1_PREFIX}${resource}${id ? '/:id' : ''}` : 'other';
+    }
+    if (PLAYER_ACTION_PATTERN.test(pathname)) {
+        return pathname.replace(/\/\d+\//, '/:id/');
+    }
+    return ROUTE_ROLES[pathname] || PUBLIC_ROUTES.includes(pathname) ? pathname : 'other';
+}
+
 const server = http.createServer(async (req, res) => {
     const parsedUrl = url.parse(req.url, true);
     const pathname = parsedUrl.pathname;
 
+    // Request latency, except the long-lived SSE stream
+    if (pathname !== '/events') {
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            httpMetrics.requestDuration.observe({
+                route: metricsRoute(pathname),
+                method: req.method,
+                status: res.statusCode,
+            }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        });
+    }
+
+    // Prometheus metrics, optionally protected by its own token instead of the admin login
+    if (pathname === '/metrics') {
+        const { METRICS_TOKEN } = process.env;
+        if (METRICS_TOKEN && !tokenMatches(req.headers['authorization'], `Bearer ${METRICS_TOKEN}`)) {
+            res.writeHead(401, { 'Content-Type': 'text/plain' });
+            res.end('Metrics token required.');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(metrics.render());
+        return;
+    }
+
     // Unprotected route for joining the room
     if (pathname === '/join') {
         const { status, room_url } = getRoomState();
@@ -36,24 +517,103 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
-    // Simple Basic Authentication
-    const { USERNAME, PASSWORD } = process.env;
-    if (USERNAME && PASSWORD) {
-        const authHeader = req.headers['authorization'];
-        if (!authHeader || !authHeader.startsWith('Basic ')) {
-            res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Restricted Area"' });
-            res.end('Authentication required.');
-            return;
-        }
+    // Public read-only stats API
+    if (pathname.startsWith(API_V1_PREFIX)) {
+        handlePublicApi(req, res, pathname, parsedUrl.query);
+        return;
+    }
 
-        const credentials = Buffer.from(authHeader.split(' ')[1], 'base64').toString();
-        const [username, password] = credentials.split(':');
+    // Public stats pages
+    if (PUBLIC_PAGES[pathname]) {
+        fs.readFile(PUBLIC_PAGES[pathname], (err, data) => {
+            if (err) {
+                res.writeHead(500);
+                res.end(`Error loading ${PUBLIC_PAGES[pathname]}`);
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(data);
+            }
+        });
+        return;
+    }
 
-        if (username !== USERNAME || password !== PASSWORD) {
-            res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Restricted Area"' });
-            res.end('Invalid credentials.');
-            return;
+    // Admin login (public)
+    if (pathname === '/login' && req.method === 'GET') {
+        fs.readFile('login.html', (err, data) => {
+            if (err) {
+                res.writeHead(500);
+                res.end('Error loading login.html');
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(data);
+            }
+        });
+        return;
+    }
+    if (pathname === '/login-status' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ setup: !ENV_OWNER_CONFIGURED && adminAccounts.countUsers() === 0 }));
+        return;
+    }
+    if ((pathname === '/login' || pathname === '/setup') && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', async () => {
+            try {
+                const { username, password } = JSON.parse(body);
+                if (pathname === '/setup') {
+                    // Only until the first account exists, and never when the environment names the owner
+                    if (ENV_OWNER_CONFIGURED || adminAccounts.countUsers() > 0) {
+                        res.writeHead(403, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ message: "An owner account already exists, log in instead." }));
+                        return;
+                    }
+                    const user = await adminAccounts.createUser(username, password, 'owner');
+                    startSession(req, res, user, `Owner account ${user.username} created.`);
+                    return;
+                }
+
+                const result = await checkCredentials(req, username, password);
+                if (!result.user) {
+                    res.writeHead(result.status, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: result.message }));
+                    return;
+                }
+                console.log(`[Admin] ${result.user.username} logged in`);
+                startSession(req, res, result.user, "Logged in.");
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Login failed: ${error.message}` }));
+            }
+        });
+        return;
+    }
+    if (pathname === '/logout' && req.method === 'POST') {
+        const token = sessionToken(req);
+        adminAccounts.deleteSession(token);
+        if (token) closeEventStreams(client => client.token === token);
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': sessionCookie(req, '', 0) });
+        res.end(JSON.stringify({ message: "Logged out." }));
+        return;
+    }
+
+    // Everything below needs an admin account with the route's role
+    const adminUser = await authenticateRequest(req);
+    if (!adminUser) {
+        if (req.method === 'GET' && (pathname === '/' || pathname === '/backups')) {
+            res.writeHead(302, { 'Location': '/login' });
+            res.end();
+        } else {
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: "Login required." }));
         }
+        return;
+    }
+    const requiredRole = routeRole(pathname);
+    if (!hasAdminRole(adminUser.role, requiredRole)) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: `This action needs the ${requiredRole} role (you are ${adminUser.role}).` }));
+        return;
     }
 
     // Standard headers for CORS
@@ -97,7 +657,8 @@ const server = http.createServer(async (req, res) => {
         });
 
         const clientId = Date.now();
-        const newClient = { id: clientId, res };
+        // Login it came with, see closeEventStreams()
+        const newClient = { id: clientId, res, username: adminUser.username, token: sessionToken(req) };
         clients.push(newClient);
         console.log(`Client ${clientId} connected`);
 
@@ -108,13 +669,96 @@ const server = http.createServer(async (req, res) => {
             clients = clients.filter(c => c.id !== clientId);
             console.log(`Client ${clientId} disconnected`);
         });
+    } else if (pathname === '/me' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ username: adminUser.username, role: adminUser.role, roles: ADMIN_ROLES }));
+    } else if (pathname === '/change-password' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', async () => {
+            try {
+                const { currentPassword, newPassword } = JSON.parse(body);
+                const result = await checkCredentials(req, adminUser.username, currentPassword);
+                if (!result.user) {
+                    res.writeHead(result.status === 429 ? 429 : 403, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: result.status === 429 ? result.message : "Current password is wrong." }));
+                    return;
+                }
+                await adminAccounts.setPassword(adminUser.username, newPassword, sessionToken(req));
+                revokeAdminAccess(adminUser.username, sessionToken(req));
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: "Password changed. Other sessions were logged out." }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to change password: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/list-users' && req.method === 'GET') {
+        try {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ roles: ADMIN_ROLES, users: adminAccounts.listUsers() }));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to list users: ${error.message}` }));
+        }
+    } else if (pathname === '/save-user' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', async () => {
+            try {
+                // New user: username, password and role. Existing user: a new role and/or password
+                const { username, password, role } = JSON.parse(body);
+                let message;
+                if (!adminAccounts.getUser(username)) {
+                    const user = await adminAccounts.createUser(username, password, role);
+                    message = `User ${user.username} created as ${user.role}.`;
+                } else {
+                    if (role) adminAccounts.setRole(username, role);
+                    if (password) {
+                        await adminAccounts.setPassword(username, password);
+                        revokeAdminAccess(username);
+                    }
+                    message = `User ${username} updated.`;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to save user: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/delete-user' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', () => {
+            try {
+                const { username } = JSON.parse(body);
+                if (!username) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: "Username is required." }));
+                    return;
+                }
+                if (!adminAccounts.deleteUser(username)) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: `User ${username} not found.` }));
+                    return;
+                }
+                revokeAdminAccess(username);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `User ${username} deleted.` }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to delete user: ${error.message}` }));
+            }
+        });
     } else if (pathname === '/start' && req.method === 'POST') {
         let body = '';
         req.on('data', chunk => { body += chunk.toString(); });
         req.on('end', async () => {
             try {
-                const { token } = JSON.parse(body);
-                await start(token);
+                const { token, profile, settings } = JSON.parse(body);
+                const roomSettings = profileStore.resolve(profile, settings);
+                await start(token, roomSettings);
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ message: "Room start initiated." }));
             } catch (error) {
@@ -122,6 +766,302 @@ const server = http.createServer(async (req, res) => {
                 res.end(JSON.stringify({ message: `Failed to start room: ${error.message}` }));
             }
         });
+    } else if (pathname === '/list-profiles' && req.method === 'GET') {
+        try {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                defaults: DEFAULT_ROOM_SETTINGS,
+                stadiums: DEFAULT_STADIUMS,
+                profiles: profileStore.list(),
+            }));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to list profiles: ${error.message}` }));
+        }
+    } else if (pathname === '/save-profile' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', () => {
+            try {
+                const { name, settings } = JSON.parse(body);
+                const saved = profileStore.put(name, settings);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Profile "${name.trim()}" saved.`, settings: saved }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to save profile: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/delete-profile' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', () => {
+            try {
+                const { name } = JSON.parse(body);
+                if (!name) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: "Profile name is required." }));
+                    return;
+                }
+                if (!profileStore.delete(name)) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: `Profile "${name}" not found.` }));
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Profile "${name}" deleted.` }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to delete profile: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/list-stadiums' && req.method === 'GET') {
+        try {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                defaults: DEFAULT_STADIUMS,
+                custom: getStadiumLibrary().list(),
+            }));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to list stadiums: ${error.message}` }));
+        }
+    } else if (pathname === '/upload-stadium' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', () => {
+            try {
+                const { contents } = JSON.parse(body);
+                const stadium = getStadiumLibrary().add(contents);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Stadium "${stadium.name}" uploaded.`, stadium }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to upload stadium: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/delete-stadium' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', () => {
+            try {
+                const { id } = JSON.parse(body);
+                if (!id) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: "Stadium id is required." }));
+                    return;
+                }
+                if (!getStadiumLibrary().delete(id)) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: `Stadium "${id}" not found.` }));
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Stadium "${id}" deleted.` }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to delete stadium: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/list-webhooks' && req.method === 'GET') {
+        try {
+            // Secrets are write-only
+            const webhooks = getWebhooks().store.list().map(({ secret, ...target }) => ({ ...target, has_secret: Boolean(secret) }));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                events: WEBHOOK_EVENTS,
+                formats: WEBHOOK_FORMATS,
+                webhooks,
+                queue: getWebhooks().listQueue(),
+            }));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to list webhooks: ${error.message}` }));
+        }
+    } else if (pathname === '/save-webhook' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', () => {
+            try {
+                const { secret, ...target } = getWebhooks().store.put(JSON.parse(body));
+                getWebhooks().invalidate();
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Webhook "${target.name}" saved.`, webhook: { ...target, has_secret: Boolean(secret) } }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to save webhook: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/delete-webhook' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', () => {
+            try {
+                const { id } = JSON.parse(body);
+                if (!id) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: "Webhook id is required." }));
+                    return;
+                }
+                if (!getWebhooks().store.delete(id)) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: `Webhook ${id} not found.` }));
+                    return;
+                }
+                getWebhooks().invalidate();
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Webhook ${id} deleted.` }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to delete webhook: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/test-webhook' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', () => {
+            try {
+                const { id } = JSON.parse(body);
+                if (!id || !getWebhooks().store.get(id)) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: `Webhook ${id} not found.` }));
+                    return;
+                }
+                getWebhooks().sendTest(id);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: "Test delivery queued." }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to test webhook: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/set-stadium' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', async () => {
+            try {
+                const { stadium } = JSON.parse(body);
+                if (!stadium) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: "Stadium is required." }));
+                    return;
+                }
+                const name = await setStadium(stadium);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Stadium changed to "${name}".` }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to change stadium: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/players' && req.method === 'GET') {
+        try {
+            const players = await listPlayers();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(players));
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to list players: ${error.message}` }));
+        }
+    } else if (PLAYER_ACTION_PATTERN.test(pathname) && req.method === 'POST') {
+        const [, , id, action] = pathname.split('/');
+        const playerId = parseInt(id, 10);
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', async () => {
+            try {
+                const options = body ? JSON.parse(body) : {};
+                let message;
+                if (action === 'kick') {
+                    const name = await kickPlayer(playerId, options.reason || '', Boolean(options.ban));
+                    message = `${name} was ${options.ban ? 'banned' : 'kicked'}.`;
+                } else if (action === 'ban') {
+                    const ban = await banPlayer(playerId, { reason: options.reason, minutes: options.minutes });
+                    message = `${ban.name} was banned ${ban.expires_at ? `until ${ban.expires_at} UTC` : 'permanently'}.`;
+                } else if (action === 'move') {
+                    const name = await movePlayer(playerId, Number(options.team));
+                    message = `${name} was moved.`;
+                } else if (action === 'admin') {
+                    const name = await setPlayerAdmin(playerId, Boolean(options.admin));
+                    message = `${name} ${options.admin ? 'is now an admin' : 'is no longer an admin'}.`;
+                } else {
+                    const name = await setPlayerMuted(playerId, Boolean(options.muted));
+                    message = `${name} was ${options.muted ? 'muted' : 'unmuted'}.`;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to ${action} player: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/list-bans' && req.method === 'GET') {
+        try {
+            const bans = listBans();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(bans));
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to list bans: ${error.message}` }));
+        }
+    } else if (pathname === '/add-ban' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', async () => {
+            try {
+                const { name, auth, conn, reason, minutes } = JSON.parse(body);
+                const ban = await addBan({ name, auth, conn, reason, minutes });
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Ban #${ban.id} added for ${ban.name || ban.auth || ban.conn}.`, ban }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to add ban: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/delete-ban' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', () => {
+            try {
+                const { id } = JSON.parse(body);
+                if (!id) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ message: "Ban id is required." }));
+                    return;
+                }
+                const ban = removeBan(id);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Ban #${ban.id} removed.` }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to remove ban: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/list-roles' && req.method === 'GET') {
+        try {
+            const roles = listRoles();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ roles: ROLES, players: roles }));
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to list roles: ${error.message}` }));
+        }
+    } else if (pathname === '/set-role' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', async () => {
+            try {
+                const { name, auth, role } = JSON.parse(body);
+                // The in-room owner role (owner-only room commands) stays with owner admins
+                const maxRole = hasAdminRole(adminUser.role, 'owner') ? 'owner' : 'moderator';
+                const result = await setPlayerRole({ name, auth, role, maxRole });
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `${result.name || result.auth} is now ${result.role}.` }));
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to set role: ${error.message}` }));
+            }
+        });
     } else if (pathname === '/stop' && req.method === 'POST') {
         try {
             await stop();
@@ -195,16 +1135,179 @@ const server = http.createServer(async (req, res) => {
                 res.end(JSON.stringify({ message: `Failed to delete player stats: ${error.message}` }));
             }
         });
-    } else if (pathname === '/list-backups' && req.method === 'GET') {
-        (async () => {
+    } else if (pathname === '/match-details' && req.method === 'GET') {
+        const db = getStatsDatabase();
+        if (!db) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: "No stats recorded yet." }));
+            return;
+        }
+        try {
+            const { id } = parsedUrl.query;
+            const match = id ? db.getMatch(Number(id)) : db.getLastMatch();
+            if (!match) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: id ? `Match ${id} not found.` : "No matches recorded yet." }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(match));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to get match: ${error.message}` }));
+        }
+    } else if (pathname === '/list-replays' && req.method === 'GET') {
+        const db = getStatsDatabase();
+        if (!db) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: "No stats recorded yet." }));
+            return;
+        }
+        try {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(db.listReplayMatches()));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to list replays: ${error.message}` }));
+        }
+    } else if (pathname === '/download-replay' && req.method === 'GET') {
+        try {
+            const { match } = parsedUrl.query;
+            if (!match) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: "Match id is required." }));
+                return;
+            }
+
+            const db = getStatsDatabase();
+            const matchRow = db ? db.getMatch(Number(match)) : null;
+            if (!matchRow || !matchRow.replay_file) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: "Replay not found." }));
+                return;
+            }
+
+            const fileContent = fs.readFileSync(getReplayStore().pathFor(matchRow.replay_file));
+            res.writeHead(200, {
+                'Content-Type': 'application/octet-stream',
+                'Content-Disposition': `attachment; filename="${matchRow.replay_file}"`,
+                'Content-Length': fileContent.length
+            });
+            res.end(fileContent);
+        } catch (error) {
+            const status = error.code === 'ENOENT' ? 404 : 500;
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to download replay: ${error.message}` }));
+        }
+    } else if (pathname === '/player-profile' && req.method === 'GET') {
+        const db = getStatsDatabase();
+        if (!db) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: "No stats recorded yet." }));
+            return;
+        }
+        try {
+            const { status, body } = readPlayer(db, parsedUrl.query.auth);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to get player profile: ${error.message}` }));
+        }
+    } else if ((pathname === '/head-to-head' || pathname === '/duo') && req.method === 'GET') {
+        const db = getStatsDatabase();
+        if (!db) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: "No stats recorded yet." }));
+            return;
+        }
+        // /head-to-head?auth=A&opponent=B, /duo?auth=A&partner=B
+        const { auth } = parsedUrl.query;
+        const otherAuth = pathname === '/duo' ? parsedUrl.query.partner : parsedUrl.query.opponent;
+        if (!auth || !otherAuth || auth === otherAuth) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Two different player auths are required (auth and ${pathname === '/duo' ? 'partner' : 'opponent'}).` }));
+            return;
+        }
+        try {
+            const record = pathname === '/duo'
+                ? db.getDuo(auth, otherAuth)
+                : db.getHeadToHead(auth, otherAuth);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(record));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to get player record: ${error.message}` }));
+        }
+    } else if (pathname === '/api/matches' && req.method === 'GET') {
+        const db = getStatsDatabase();
+        if (!db) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: "No stats recorded yet." }));
+            return;
+        }
+        try {
+            const { status, body } = readMatchList(db, parsedUrl.query);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to list matches: ${error.message}` }));
+        }
+    } else if (pathname === '/leaderboard' && req.method === 'GET') {
+        const db = getStatsDatabase();
+        if (!db) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: "No stats recorded yet." }));
+            return;
+        }
+        try {
+            const { status, body } = readLeaderboard(db, parsedUrl.query);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to get leaderboard: ${error.message}` }));
+        }
+    } else if (pathname === '/list-seasons' && req.method === 'GET') {
+        const db = getStatsDatabase();
+        if (!db) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: "No stats recorded yet." }));
+            return;
+        }
+        try {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(db.listSeasons()));
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to list seasons: ${error.message}` }));
+        }
+    } else if (pathname === '/new-season' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk.toString(); });
+        req.on('end', async () => {
             try {
-                const statsTracker = getStatsTracker();
-                if (!statsTracker) {
+                const { name } = body ? JSON.parse(body) : {};
+                if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length > 40)) {
                     res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ message: "Stats tracker not initialized. Start the room first." }));
+                    res.end(JSON.stringify({ message: "Season name must be a string of at most 40 characters." }));
                     return;
                 }
-                const backups = statsTracker.db.listBackups();
+                const { closed, opened } = startNewSeason(name ? name.trim() : null);
+                const champion = closed ? ` "${closed.name}" closed (champion: ${closed.champion_name || 'none'}),` : '';
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Season${champion} "${opened.name}" started.` }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: `Failed to start a new season: ${error.message}` }));
+            }
+        });
+    } else if (pathname === '/list-backups' && req.method === 'GET') {
+        (async () => {
+            try {
+                const db = getStatsDatabase();
+                const backups = db ? db.listBackups() : [];
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify(backups));
             } catch (error) {
@@ -231,14 +1334,7 @@ const server = http.createServer(async (req, res) => {
                     return;
                 }
 
-                const statsTracker = getStatsTracker();
-                if (!statsTracker) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ message: "Stats tracker not initialized. Start the room first." }));
-                    return;
-                }
-
-                const result = await statsTracker.db.restoreBackup(filename);
+                const result = await restoreStatsBackup(filename);
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ message: result.message, restoredFrom: result.restoredFrom }));
             } catch (error) {
@@ -256,14 +1352,8 @@ const server = http.createServer(async (req, res) => {
                     return;
                 }
 
-                const statsTracker = getStatsTracker();
-                if (!statsTracker) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ message: "Stats tracker not initialized." }));
-                    return;
-                }
-
-                const backups = statsTracker.db.listBackups();
+                const db = getStatsDatabase();
+                const backups = db ? db.listBackups() : [];
                 const backup = backups.find(b => b.filename === file);
 
                 if (!backup) {
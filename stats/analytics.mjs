@@ -0,0 +1,169 @@
+/**
+ * Match analytics - possession, passes and shots from ball touches and kicks
+ *
+ * createMatchAnalytics() is evaluated in the room page too (window.createMatchAnalytics);
+ * only its source travels there, hence the thresholds come in as `config`.
+ */
+
+// Speeds are in Haxball units per tick
+export const ANALYTICS_CONFIG = {
+    SHOT_MIN_SPEED: 5,         // ball speed right after a kick for it to count as a shot
+    MAX_TICK_GAP: 1,           // longer gaps between ticks (seconds) don't count as possession
+};
+
+/**
+ * Create an analytics engine for one room
+ *
+ * Players are { playerId, auth, team }. Red attacks towards +x, blue towards -x.
+ * - possession: match clock seconds since the player's touch, until someone else touches
+ *   the ball or a goal is scored
+ * - a kick followed by a teammate's touch is a completed pass, by an opponent's an intercepted pass
+ * - a kick from the attacking half that sends the ball fast towards the opponent goal is a shot;
+ *   it is on target if it ends in a goal or an opponent stops it before it turns away from the goal
+ *
+ * summary() returns:
+ * {
+ *   players: { auth: { possession, passesCompleted, passesIntercepted, shots, shotsOnTarget } },
+ *   possession: { red, blue },   // seconds
+ * }
+ */
+export function createMatchAnalytics(config) {
+    let players = {};
+    let teamPossession = { 1: 0, 2: 0 };
+    let lastToucher = null;   // Player who has the ball, null while the ball is dead
+    let pendingKick = null;   // { player, x, shot: null | boolean } until the kick is resolved
+    let lastShooter = null;   // auth of the last counted shot, so a deflected shot isn't counted twice
+    let lastTime = null;
+
+    function statsOf(auth) {
+        if (!players[auth]) {
+            players[auth] = { possession: 0, passesCompleted: 0, passesIntercepted: 0, shots: 0, shotsOnTarget: 0 };
+        }
+        return players[auth];
+    }
+
+    function attackDirection(team) {
+        return team === 1 ? 1 : -1;
+    }
+
+    function countShot(player, onTarget) {
+        lastShooter = player.auth;
+        const stats = statsOf(player.auth);
+        stats.shots++;
+        if (onTarget) stats.shotsOnTarget++;
+    }
+
+    // Someone else got the ball after a kick
+    function resolveKick(toucher) {
+        const kicker = pendingKick.player;
+        if (toucher.team === kicker.team) {
+            statsOf(kicker.auth).passesCompleted++;
+        } else if (pendingKick.shot) {
+            countShot(kicker, true); // Saved or blocked
+        } else {
+            statsOf(kicker.auth).passesIntercepted++;
+        }
+        pendingKick = null;
+    }
+
+    return {
+        /**
+         * Forget everything (game start)
+         */
+        reset() {
+            players = {};
+            teamPossession = { 1: 0, 2: 0 };
+            lastToucher = null;
+            pendingKick = null;
+            lastShooter = null;
+            lastTime = null;
+        },
+
+        /**
+         * Positions were reset for a kickoff - nobody has the ball
+         */
+        kickoff() {
+            lastToucher = null;
+            pendingKick = null;
+            lastShooter = null;
+        },
+
+        /**
+         * A player touched the ball (kicks are touches too)
+         */
+        touch(player) {
+            if (player.team !== 1 && player.team !== 2) return;
+
+            if (pendingKick && pendingKick.player.playerId !== player.playerId) {
+                resolveKick(player);
+            }
+            lastToucher = player;
+        },
+
+        /**
+         * A player kicked the ball from `ballPosition` ({ x, y })
+         * Call touch() first - whether it is a shot is decided on the next tick
+         */
+        kick(player, ballPosition) {
+            if (player.team !== 1 && player.team !== 2) return;
+            pendingKick = { player, x: ballPosition ? ballPosition.x : 0, shot: null };
+            lastShooter = null;
+        },
+
+        /**
+         * Game tick at match clock `time` (seconds), `ball` is { xspeed, yspeed } or null
+         */
+        tick(time, ball) {
+            const elapsed = lastTime === null ? 0 : time - lastTime;
+            lastTime = time;
+            if (lastToucher && elapsed > 0 && elapsed <= config.MAX_TICK_GAP) {
+                statsOf(lastToucher.auth).possession += elapsed;
+                teamPossession[lastToucher.team] += elapsed;
+            }
+
+            if (!pendingKick || !ball) return;
+
+            const direction = attackDirection(pendingKick.player.team);
+            if (pendingKick.shot === null) {
+                const speed = Math.sqrt(ball.xspeed * ball.xspeed + ball.yspeed * ball.yspeed);
+                pendingKick.shot = pendingKick.x * direction > 0
+                    && ball.xspeed * direction > 0
+                    && speed >= config.SHOT_MIN_SPEED;
+            }
+
+            // The shot bounced back or stopped - it missed
+            if (pendingKick.shot && ball.xspeed * direction <= 0) {
+                countShot(pendingKick.player, false);
+                pendingKick = null;
+            }
+        },
+
+        /**
+         * Goal for `team`. `scorer` ({ auth, team }) comes from goal attribution and gets
+         * a shot on target when the goal didn't come from a shot that was already counted
+         */
+        goal(team, scorer, ownGoal) {
+            if (pendingKick && pendingKick.player.team === team) {
+                countShot(pendingKick.player, true);
+            } else if (scorer && !ownGoal && scorer.auth !== lastShooter) {
+                countShot(scorer, true);
+            }
+            pendingKick = null;
+            lastToucher = null; // Ball is dead until the kickoff
+        },
+
+        summary() {
+            const result = {};
+            for (const [auth, stats] of Object.entries(players)) {
+                result[auth] = { ...stats, possession: Math.round(stats.possession * 10) / 10 };
+            }
+            return {
+                players: result,
+                possession: {
+                    red: Math.round(teamPossession[1] * 10) / 10,
+                    blue: Math.round(teamPossession[2] * 10) / 10,
+                },
+            };
+        },
+    };
+}
@@ -0,0 +1,134 @@
+/**
+ * Goal attribution - decides scorer, assister and own goals from ball touches
+ *
+ * The room page gets createGoalAttribution() as source text (window.createGoalAttribution),
+ * so it takes its windows as `config` and keeps the touch history in its own closure.
+ */
+
+// All windows in ms, measured back from the goal
+export const ATTRIBUTION_CONFIG = {
+    SCORER_TIME_WINDOW: 3000,  // last touch by scoring team must be this recent (ms)
+    ASSIST_TIME_WINDOW: 3000,  // pass must happen this long before the goal (ms)
+    DEFLECTION_WINDOW: 700,    // opponent touches shorter than this before the goal are deflections (ms)
+    TOUCH_THROTTLE: 150,       // repeated touches of the same player closer than this are merged (ms)
+    MAX_TOUCHES: 10,           // touches kept in memory (enough for deflections + assists)
+};
+
+/**
+ * Create an attribution engine
+ *
+ * Touches are { playerId, auth, name, team, timestamp }. Returned goal attribution:
+ * {
+ *   scorer: { auth, name, team } | null,   // for own goals: the player who put it in
+ *   assister: { auth, name } | null,       // never set for own goals
+ *   ownGoal: boolean,
+ * }
+ */
+export function createGoalAttribution(config) {
+    let touches = [];
+    let goalPending = false; // Ball is dead between a goal and the next kickoff
+
+    function toScorer(touch) {
+        return { auth: touch.auth, name: touch.name, team: touch.team };
+    }
+
+    return {
+        /**
+         * Forget all touches (game start)
+         */
+        reset() {
+            touches = [];
+            goalPending = false;
+        },
+
+        /**
+         * Positions were reset for a kickoff - touches from before the goal
+         * (and any celebration touches after it) must not count for the next goal
+         */
+        kickoff() {
+            touches = [];
+            goalPending = false;
+        },
+
+        /**
+         * Record a ball touch or kick, returns true if it was stored
+         */
+        recordTouch(touch) {
+            if (goalPending) return false;
+            if (touch.team !== 1 && touch.team !== 2) return false;
+
+            const lastTouch = touches[touches.length - 1];
+            if (lastTouch && lastTouch.playerId === touch.playerId &&
+                touch.timestamp - lastTouch.timestamp <= config.TOUCH_THROTTLE) {
+                return false;
+            }
+
+            touches.push(touch);
+            if (touches.length > config.MAX_TOUCHES) {
+                touches.shift();
+            }
+            return true;
+        },
+
+        getTouches() {
+            return touches.slice();
+        },
+
+        /**
+         * Attribute a goal for `team` (the team that GOT the point) at time `now`
+         */
+        attributeGoal(team, now) {
+            goalPending = true;
+
+            const result = { scorer: null, assister: null, ownGoal: false };
+            if (touches.length === 0) return result;
+
+            const recent = touches.filter(t => now - t.timestamp <= config.SCORER_TIME_WINDOW);
+
+            let scorerIndex = -1;
+            for (let i = recent.length - 1; i >= 0; i--) {
+                if (recent[i].team === team) {
+                    scorerIndex = i;
+                    break;
+                }
+            }
+
+            // No recent touch from the scoring team - the last player to touch it scored an own goal
+            if (scorerIndex === -1) {
+                const lastTouch = touches[touches.length - 1];
+                if (lastTouch.team !== team) {
+                    result.scorer = toScorer(lastTouch);
+                    result.ownGoal = true;
+                }
+                return result;
+            }
+
+            // Opponents touched it after the scoring team's last touch. A quick touch is a
+            // deflection; if they had the ball for longer, it's their own goal.
+            const opponentTouches = recent.slice(scorerIndex + 1);
+            if (opponentTouches.length > 0 && now - opponentTouches[0].timestamp > config.DEFLECTION_WINDOW) {
+                result.scorer = toScorer(opponentTouches[opponentTouches.length - 1]);
+                result.ownGoal = true;
+                return result;
+            }
+
+            const scorerTouch = recent[scorerIndex];
+            result.scorer = toScorer(scorerTouch);
+
+            // Assist: the touch right before the scorer's possession, if it was a teammate's
+            // (an opponent touch in between means the pass was intercepted)
+            let passIndex = scorerIndex;
+            while (passIndex >= 0 && recent[passIndex].playerId === scorerTouch.playerId) {
+                passIndex--;
+            }
+            if (passIndex >= 0) {
+                const passTouch = recent[passIndex];
+                if (passTouch.team === team && now - passTouch.timestamp <= config.ASSIST_TIME_WINDOW) {
+                    result.assister = { auth: passTouch.auth, name: passTouch.name };
+                }
+            }
+
+            return result;
+        },
+    };
+}
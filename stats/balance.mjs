@@ -0,0 +1,85 @@
+/**
+ * Team balancing - player strength from the players table and red/blue splitting
+ *
+ * splitTeams() also runs in the page as window.splitTeams (!balance, auto mode),
+ * which is why it gets BALANCE_CONFIG passed in rather than using the default below.
+ */
+
+export const BALANCE_CONFIG = {
+    PRIOR_GAMES: 5,          // new players are treated as if they had this many average games
+    WIN_RATE_WEIGHT: 1,      // win rate (0-1, draws count as half) is the main signal
+    GOALS_WEIGHT: 0.3,       // per goal per game
+    ASSISTS_WEIGHT: 0.15,    // per assist per game
+    MAX_TEAM_SIZE: 4,        // late joiners are only put in a team below this size
+    EXACT_SPLIT_LIMIT: 14,   // try every split up to this many players, greedy above
+};
+
+/**
+ * Strength of a player row from the players table (null/undefined = unknown player)
+ * Stats are smoothed towards an average player, so one lucky game doesn't count much
+ */
+export function playerStrength(player, config = BALANCE_CONFIG) {
+    const prior = config.PRIOR_GAMES;
+    if (!player) {
+        return config.WIN_RATE_WEIGHT * 0.5;
+    }
+
+    const games = player.wins + player.losses + player.draws;
+    const winRate = (player.wins + player.draws * 0.5 + prior * 0.5) / (games + prior);
+    const goalsPerGame = player.goals / (games + prior);
+    const assistsPerGame = player.assists / (games + prior);
+
+    return config.WIN_RATE_WEIGHT * winRate
+        + config.GOALS_WEIGHT * goalsPerGame
+        + config.ASSISTS_WEIGHT * assistsPerGame;
+}
+
+/**
+ * Split players ({ id, strength }) into two teams of (nearly) equal size
+ * with the smallest possible strength difference
+ * Returns { red: [ids], blue: [ids] }
+ */
+export function splitTeams(players, config) {
+    const sorted = [...players].sort((a, b) => b.strength - a.strength);
+    const total = sorted.reduce((sum, p) => sum + p.strength, 0);
+    const redSize = Math.ceil(sorted.length / 2);
+
+    if (sorted.length <= config.EXACT_SPLIT_LIMIT) {
+        // Every subset of the right size for red (the strongest player is always red)
+        let best = null;
+        for (let mask = 1; mask < (1 << sorted.length); mask += 2) {
+            let count = 0;
+            let strength = 0;
+            for (let i = 0; i < sorted.length; i++) {
+                if (mask & (1 << i)) {
+                    count++;
+                    strength += sorted[i].strength;
+                }
+            }
+            if (count !== redSize) continue;
+
+            const difference = Math.abs(total - 2 * strength);
+            if (!best || difference < best.difference) {
+                best = { mask, difference };
+            }
+        }
+
+        const mask = best ? best.mask : 0;
+        return {
+            red: sorted.filter((p, i) => mask & (1 << i)).map(p => p.id),
+            blue: sorted.filter((p, i) => !(mask & (1 << i))).map(p => p.id),
+        };
+    }
+
+    // Greedy: strongest first, each to the weaker team that still has room
+    const red = { ids: [], strength: 0 };
+    const blue = { ids: [], strength: 0 };
+    for (const player of sorted) {
+        const redHasRoom = red.ids.length < redSize;
+        const blueHasRoom = blue.ids.length < sorted.length - redSize;
+        const team = !blueHasRoom || (redHasRoom && red.strength <= blue.strength) ? red : blue;
+        team.ids.push(player.id);
+        team.strength += player.strength;
+    }
+    return { red: red.ids, blue: blue.ids };
+}
@@ -1,6 +1,16 @@
 import Database from 'better-sqlite3';
-import { mkdirSync, readdirSync, statSync, copyFileSync, removeSync } from 'fs';
+import { mkdirSync, readdirSync, statSync, copyFileSync } from 'fs';
 import { dirname, join } from 'path';
+import { LEADERBOARD_CATEGORIES } from './leaderboards.mjs';
+import { minParticipation } from './participation.mjs';
+
+// W/D/L of match_players row `a` joined with its match `m`
+const OUTCOME_COLUMNS = `
+    COALESCE(SUM(CASE WHEN (a.team = 1 AND m.score_red > m.score_blue)
+                        OR (a.team = 2 AND m.score_blue > m.score_red) THEN 1 ELSE 0 END), 0) AS wins,
+    COALESCE(SUM(CASE WHEN m.score_red = m.score_blue THEN 1 ELSE 0 END), 0) AS draws,
+    COALESCE(SUM(CASE WHEN (a.team = 1 AND m.score_red < m.score_blue)
+                        OR (a.team = 2 AND m.score_blue < m.score_red) THEN 1 ELSE 0 END), 0) AS losses`;
 
 /**
  * StatsDatabase - handles all SQLite operations for Haxball stats
@@ -111,28 +121,368 @@ export class StatsDatabase {
             console.log('[DB] Migration 1 completed');
         }
 
+        // ========================================
+        // MIGRATION 2: Stadium played on each match
+        // ========================================
+        if (currentVersion < 2) {
+            console.log('[DB] Running migration 2: Add stadium to matches');
+
+            this.db.exec(`
+                ALTER TABLE matches
+                ADD COLUMN stadium TEXT
+            `);
+
+            this.db.exec('UPDATE schema_version SET version = 2');
+            currentVersion = 2;
+            console.log('[DB] Migration 2 completed');
+        }
+
+        // ========================================
+        // MIGRATION 3: Persistent bans
+        // ========================================
+        if (currentVersion < 3) {
+            console.log('[DB] Running migration 3: Add bans table');
+
+            // auth and/or conn - a ban matches a joining player on either one
+            this.db.exec(`
+                CREATE TABLE bans (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    auth TEXT,
+                    conn TEXT,
+                    name TEXT,
+                    reason TEXT,
+                    banned_by TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    expires_at TIMESTAMP,
+                    CHECK (auth IS NOT NULL OR conn IS NOT NULL)
+                )
+            `);
+
+            this.db.exec(`
+                CREATE INDEX idx_bans_auth
+                ON bans(auth)
+            `);
+            this.db.exec(`
+                CREATE INDEX idx_bans_conn
+                ON bans(conn)
+            `);
+
+            this.db.exec('UPDATE schema_version SET version = 3');
+            currentVersion = 3;
+            console.log('[DB] Migration 3 completed');
+        }
+
+        // ========================================
+        // MIGRATION 4: In-room roles
+        // ========================================
+        if (currentVersion < 4) {
+            console.log('[DB] Running migration 4: Add roles table');
+
+            // Players without a row have the "player" role
+            this.db.exec(`
+                CREATE TABLE roles (
+                    auth TEXT PRIMARY KEY,
+                    role TEXT NOT NULL CHECK (role IN ('trusted', 'moderator', 'owner')),
+                    granted_by TEXT,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            this.db.exec('UPDATE schema_version SET version = 4');
+            currentVersion = 4;
+            console.log('[DB] Migration 4 completed');
+        }
+
+        // ========================================
+        // MIGRATION 5: How the teams of a match were picked
+        // ========================================
+        if (currentVersion < 5) {
+            console.log('[DB] Running migration 5: Add balance_mode to matches');
+
+            // "auto" (balanced at game start), "command" (!balance) or "manual"
+            this.db.exec(`
+                ALTER TABLE matches
+                ADD COLUMN balance_mode TEXT
+            `);
+
+            this.db.exec('UPDATE schema_version SET version = 5');
+            currentVersion = 5;
+            console.log('[DB] Migration 5 completed');
+        }
+
+        // ========================================
+        // MIGRATION 6: Skill rating
+        // ========================================
+        if (currentVersion < 6) {
+            console.log('[DB] Running migration 6: Add rating and rating_history');
+
+            // Everyone starts at RATING_CONFIG.INITIAL_RATING (stats/rating.mjs)
+            this.db.exec(`
+                ALTER TABLE players
+                ADD COLUMN rating REAL DEFAULT 1000
+            `);
+
+            this.db.exec(`
+                CREATE TABLE rating_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    match_id INTEGER NOT NULL,
+                    player_auth TEXT NOT NULL,
+                    rating_before REAL NOT NULL,
+                    rating_after REAL NOT NULL,
+                    delta REAL NOT NULL,
+                    FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+                    FOREIGN KEY (player_auth) REFERENCES players(auth)
+                )
+            `);
+
+            this.db.exec(`
+                CREATE INDEX idx_rating_history_player
+                ON rating_history(player_auth)
+            `);
+
+            this.db.exec('UPDATE schema_version SET version = 6');
+            currentVersion = 6;
+            console.log('[DB] Migration 6 completed');
+        }
+
+        // ========================================
+        // MIGRATION 7: Seasons
+        // ========================================
+        if (currentVersion < 7) {
+            console.log('[DB] Running migration 7: Add seasons');
+
+            // The open season has ended_at NULL, champion_auth is set when it is closed
+            this.db.exec(`
+                CREATE TABLE seasons (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    ended_at TIMESTAMP,
+                    champion_auth TEXT
+                )
+            `);
+
+            this.db.exec(`
+                ALTER TABLE matches
+                ADD COLUMN season_id INTEGER REFERENCES seasons(id)
+            `);
+
+            // Same counters as players, but per season (streaks and rating stay all-time)
+            this.db.exec(`
+                CREATE TABLE season_players (
+                    season_id INTEGER NOT NULL,
+                    player_auth TEXT NOT NULL,
+                    goals INTEGER DEFAULT 0,
+                    assists INTEGER DEFAULT 0,
+                    own_goals INTEGER DEFAULT 0,
+                    games INTEGER DEFAULT 0,
+                    wins INTEGER DEFAULT 0,
+                    losses INTEGER DEFAULT 0,
+                    draws INTEGER DEFAULT 0,
+                    clean_sheets INTEGER DEFAULT 0,
+                    minutes_played INTEGER DEFAULT 0,
+                    PRIMARY KEY (season_id, player_auth),
+                    FOREIGN KEY (season_id) REFERENCES seasons(id),
+                    FOREIGN KEY (player_auth) REFERENCES players(auth)
+                )
+            `);
+
+            this.db.exec(`
+                CREATE INDEX idx_matches_season
+                ON matches(season_id)
+            `);
+
+            // Everything played so far becomes the first season
+            const firstSeason = this.db.prepare(`
+                INSERT INTO seasons (name, started_at)
+                VALUES ('Sezon 1', COALESCE((SELECT MIN(timestamp) FROM matches), CURRENT_TIMESTAMP))
+            `).run();
+            const seasonId = firstSeason.lastInsertRowid;
+            this.db.prepare('UPDATE matches SET season_id = ?').run(seasonId);
+            this.db.prepare(`
+                INSERT INTO season_players (season_id, player_auth, goals, assists, own_goals, games,
+                                            wins, losses, draws, clean_sheets, minutes_played)
+                SELECT ?, auth, goals, assists, own_goals, games, wins, losses, draws, clean_sheets, minutes_played
+                FROM players
+                WHERE games > 0 OR own_goals > 0
+            `).run(seasonId);
+
+            this.db.exec('UPDATE schema_version SET version = 7');
+            currentVersion = 7;
+            console.log('[DB] Migration 7 completed');
+        }
+
+        // ========================================
+        // MIGRATION 8: Goal timeline
+        // ========================================
+        if (currentVersion < 8) {
+            console.log('[DB] Running migration 8: Add match_events table');
+
+            // One row per goal, in order. scorer_auth is NULL when nobody touched the ball
+            // (or the player was deleted), time is the match clock in seconds
+            this.db.exec(`
+                CREATE TABLE match_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    match_id INTEGER NOT NULL,
+                    team INTEGER NOT NULL CHECK (team IN (1, 2)),
+                    scorer_auth TEXT,
+                    assister_auth TEXT,
+                    own_goal INTEGER DEFAULT 0,
+                    time REAL,
+                    score_red INTEGER,
+                    score_blue INTEGER,
+                    FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+                    FOREIGN KEY (scorer_auth) REFERENCES players(auth),
+                    FOREIGN KEY (assister_auth) REFERENCES players(auth)
+                )
+            `);
+
+            this.db.exec(`
+                CREATE INDEX idx_match_events_match
+                ON match_events(match_id)
+            `);
+
+            this.db.exec('UPDATE schema_version SET version = 8');
+            currentVersion = 8;
+            console.log('[DB] Migration 8 completed');
+        }
+
+        // ========================================
+        // MIGRATION 9: Possession, passes and shots
+        // ========================================
+        if (currentVersion < 9) {
+            console.log('[DB] Running migration 9: Add possession, passes and shots');
+
+            // Same counters per match, all-time and per season (possession_time in seconds)
+            for (const table of ['match_players', 'players', 'season_players']) {
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN possession_time REAL DEFAULT 0`);
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN passes_completed INTEGER DEFAULT 0`);
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN passes_intercepted INTEGER DEFAULT 0`);
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN shots INTEGER DEFAULT 0`);
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN shots_on_target INTEGER DEFAULT 0`);
+            }
+
+            // Red's share of possession in percent, NULL for matches recorded before this migration
+            this.db.exec(`
+                ALTER TABLE matches
+                ADD COLUMN possession_red REAL
+            `);
+
+            this.db.exec('UPDATE schema_version SET version = 9');
+            currentVersion = 9;
+            console.log('[DB] Migration 9 completed');
+        }
+
+        // ========================================
+        // MIGRATION 10: Match replays
+        // ========================================
+        if (currentVersion < 10) {
+            console.log('[DB] Running migration 10: Add replay_file to matches');
+
+            // .hbr2 file in data/replays/, NULL when there is none (or it was removed by retention)
+            this.db.exec(`
+                ALTER TABLE matches
+                ADD COLUMN replay_file TEXT
+            `);
+
+            this.db.exec('UPDATE schema_version SET version = 10');
+            currentVersion = 10;
+            console.log('[DB] Migration 10 completed');
+        }
+
+        // ========================================
+        // MIGRATION 11: Time played in seconds
+        // ========================================
+        if (currentVersion < 11) {
+            console.log('[DB] Running migration 11: Convert minutes_played to seconds_played');
+
+            // Time is now followed per player (joins, leaves, team changes), whole minutes are too coarse
+            for (const table of ['players', 'season_players']) {
+                this.db.exec(`UPDATE ${table} SET minutes_played = minutes_played * 60`);
+                this.db.exec(`ALTER TABLE ${table} RENAME COLUMN minutes_played TO seconds_played`);
+            }
+
+            this.db.exec(`
+                ALTER TABLE match_players
+                ADD COLUMN seconds_played INTEGER DEFAULT 0
+            `);
+
+            this.db.exec('UPDATE schema_version SET version = 11');
+            currentVersion = 11;
+            console.log('[DB] Migration 11 completed');
+        }
+
+        // ========================================
+        // MIGRATION 12: Abandoned matches
+        // ========================================
+        if (currentVersion < 12) {
+            console.log('[DB] Running migration 12: Add abandoned flag and leaves');
+
+            // Player quit the room mid-match (their partial stats are kept)
+            this.db.exec(`
+                ALTER TABLE match_players
+                ADD COLUMN abandoned INTEGER DEFAULT 0
+            `);
+
+            for (const table of ['players', 'season_players']) {
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN leaves INTEGER DEFAULT 0`);
+            }
+
+            this.db.exec('UPDATE schema_version SET version = 12');
+            currentVersion = 12;
+            console.log('[DB] Migration 12 completed');
+        }
+
+        // ========================================
+        // MIGRATION 13: Credited match players
+        // ========================================
+        if (currentVersion < 13) {
+            console.log('[DB] Running migration 13: Add credited flag to match_players');
+
+            // Players under MIN_PARTICIPATION stay in the roster but didn't get the game -
+            // head-to-head, duo, partners and per-player history only count credited rows
+            this.db.exec(`
+                ALTER TABLE match_players
+                ADD COLUMN credited INTEGER DEFAULT 1
+            `);
+
+            // isCredited() (stats/participation.mjs) for rows with time played, rows from before
+            // migration 11 have none and stay credited
+            this.db.prepare(`
+                UPDATE match_players
+                SET credited = 0
+                WHERE seconds_played > 0
+                  AND seconds_played < (SELECT duration FROM matches WHERE id = match_players.match_id)
+                      * (CASE WHEN abandoned = 1 THEN ? ELSE ? END)
+            `).run(minParticipation(true), minParticipation(false));
+
+            this.db.exec('UPDATE schema_version SET version = 13');
+            currentVersion = 13;
+            console.log('[DB] Migration 13 completed');
+        }
+
         // ========================================
         // FUTURE MIGRATIONS GO HERE
         // ========================================
-        // Example migration 2 (simple ALTER):
-        // if (currentVersion < 2) {
-        //     console.log('[DB] Running migration 2: Add shots column');
+        // Example migration N (simple ALTER):
+        // if (currentVersion < N) {
+        //     console.log('[DB] Running migration N: Add shots column');
         //     this.db.exec(`ALTER TABLE players ADD COLUMN shots INTEGER DEFAULT 0`);
-        //     this.db.exec('UPDATE schema_version SET version = 2');
-        //     currentVersion = 2;
-        //     console.log('[DB] Migration 2 completed');
+        //     this.db.exec('UPDATE schema_version SET version = N');
+        //     currentVersion = N;
+        //     console.log('[DB] Migration N completed');
         // }
         //
-        // Example migration 3 (complex - removing column):
-        // if (currentVersion < 3) {
-        //     console.log('[DB] Running migration 3: Remove old_column');
+        // Example migration N (complex - removing column):
+        // if (currentVersion < N) {
+        //     console.log('[DB] Running migration N: Remove old_column');
         //     this.db.exec(`CREATE TABLE players_new (...)`);
         //     this.db.exec(`INSERT INTO players_new SELECT ... FROM players`);
         //     this.db.exec(`DROP TABLE players`);
         //     this.db.exec(`ALTER TABLE players_new RENAME TO players`);
-        //     this.db.exec('UPDATE schema_version SET version = 3');
-        //     currentVersion = 3;
-        //     console.log('[DB] Migration 3 completed');
+        //     this.db.exec('UPDATE schema_version SET version = N');
+        //     currentVersion = N;
+        //     console.log('[DB] Migration N completed');
         // }
 
         console.log(`[DB] Schema up to date (version ${currentVersion})`);
@@ -174,6 +524,21 @@ export class StatsDatabase {
         return stmt.get(name);
     }
 
+    /**
+     * Players with at least one game, by name
+     * Returns { total, players }
+     */
+    listPlayers({ limit = 20, offset = 0 } = {}) {
+        const total = this.db.prepare('SELECT COUNT(*) AS count FROM players WHERE games > 0').get().count;
+        const players = this.db.prepare(`
+            SELECT * FROM players
+            WHERE games > 0
+            ORDER BY name COLLATE NOCASE ASC, auth ASC
+            LIMIT ? OFFSET ?
+        `).all(limit, offset);
+        return { total, players };
+    }
+
     /**
      * Update or insert player (upsert)
      */
@@ -218,18 +583,177 @@ export class StatsDatabase {
             WHERE auth = ?
         `);
         stmt.run(...values);
+
+        this.updateSeasonPlayerStats(auth, stats);
     }
 
     /**
-     * Get top players by goals
+     * Add stats to the player's row for the open season (streaks are all-time only)
      */
-    getTopPlayers(limit = 10) {
+    updateSeasonPlayerStats(auth, stats) {
+        const season = this.getCurrentSeason();
+        if (!season) return;
+
+        const keys = Object.keys(stats).filter(key => key !== 'current_streak' && key !== 'best_streak');
+        if (keys.length === 0) return;
+
         const stmt = this.db.prepare(`
-            SELECT * FROM players
-            ORDER BY goals DESC, games ASC
+            INSERT INTO season_players (season_id, player_auth, ${keys.join(', ')})
+            VALUES (?, ?, ${keys.map(() => '?').join(', ')})
+            ON CONFLICT(season_id, player_auth) DO UPDATE SET
+                ${keys.map(key => `${key} = ${key} + excluded.${key}`).join(', ')}
+        `);
+        stmt.run(season.id, auth, ...keys.map(key => stats[key]));
+    }
+
+    /**
+     * Get the open season (undefined only if the seasons table is empty)
+     */
+    getCurrentSeason() {
+        return this.db.prepare('SELECT * FROM seasons WHERE ended_at IS NULL ORDER BY id DESC LIMIT 1').get();
+    }
+
+    /**
+     * Get a season by id
+     */
+    getSeason(seasonId) {
+        return this.db.prepare('SELECT * FROM seasons WHERE id = ?').get(seasonId);
+    }
+
+    /**
+     * List seasons, newest first, with their champion's name and number of matches
+     */
+    listSeasons() {
+        return this.db.prepare(`
+            SELECT s.*, p.name AS champion_name,
+                   (SELECT COUNT(*) FROM matches m WHERE m.season_id = s.id) AS matches
+            FROM seasons s
+            LEFT JOIN players p ON s.champion_auth = p.auth
+            ORDER BY s.id DESC
+        `).all();
+    }
+
+    /**
+     * Season standings: 3 points for a win, 1 for a draw
+     * (only players with at least `minGames` games in the season)
+     */
+    getSeasonStandings(seasonId, limit = 10, minGames = 0) {
+        const stmt = this.db.prepare(`
+            SELECT sp.*, p.name, sp.wins * 3 + sp.draws AS points
+            FROM season_players sp
+            JOIN players p ON sp.player_auth = p.auth
+            WHERE sp.season_id = ? AND sp.games >= ?
+            ORDER BY points DESC, sp.wins DESC, sp.goals DESC, sp.games ASC
             LIMIT ?
         `);
-        return stmt.all(limit);
+        return stmt.all(seasonId, minGames, limit);
+    }
+
+    /**
+     * Get a player's stats for one season (with their name), or undefined
+     */
+    getSeasonPlayer(seasonId, auth) {
+        const stmt = this.db.prepare(`
+            SELECT sp.*, p.name, sp.wins * 3 + sp.draws AS points
+            FROM season_players sp
+            JOIN players p ON sp.player_auth = p.auth
+            WHERE sp.season_id = ? AND sp.player_auth = ?
+        `);
+        return stmt.get(seasonId, auth);
+    }
+
+    /**
+     * Close the open season (its standings leader with at least `minGames` games becomes champion)
+     * and open a new one, `name` defaults to "Sezon N"
+     * Returns { closed, opened } season rows
+     */
+    startNewSeason(name = null, minGames = 0) {
+        const startTransaction = this.db.transaction(() => {
+            const current = this.getCurrentSeason();
+            let closed = null;
+            if (current) {
+                const [champion] = this.getSeasonStandings(current.id, 1, minGames);
+                this.db.prepare(`
+                    UPDATE seasons SET ended_at = CURRENT_TIMESTAMP, champion_auth = ?
+                    WHERE id = ?
+                `).run(champion ? champion.player_auth : null, current.id);
+                closed = this.listSeasons().find(s => s.id === current.id);
+            }
+
+            const count = this.db.prepare('SELECT COUNT(*) AS count FROM seasons').get().count;
+            const result = this.db.prepare('INSERT INTO seasons (name) VALUES (?)').run(name || `Sezon ${count + 1}`);
+            return { closed, opened: this.getSeason(result.lastInsertRowid) };
+        });
+        return startTransaction();
+    }
+
+    /**
+     * One page of a leaderboard category (stats/leaderboards.mjs), only players with at least `minGames` games
+     * Returns { total, players: [{ position, auth, name, games, value }] }
+     */
+    getLeaderboard(category, { minGames = 1, limit = 10, offset = 0 } = {}) {
+        const { expression } = LEADERBOARD_CATEGORIES[category];
+
+        const total = this.db.prepare('SELECT COUNT(*) AS count FROM players WHERE games >= ?').get(minGames).count;
+        const players = this.db.prepare(`
+            SELECT auth, name, games, ${expression} AS value
+            FROM players
+            WHERE games >= ?
+            ORDER BY value DESC, games ASC, name ASC
+            LIMIT ? OFFSET ?
+        `).all(minGames, limit, offset);
+
+        return {
+            total,
+            players: players.map((player, index) => ({ position: offset + index + 1, ...player })),
+        };
+    }
+
+    /**
+     * Position of a player in the rating ranking (1 = best), among players with at least `minGames` games
+     */
+    getRatingPosition(auth, minGames = 0) {
+        const stmt = this.db.prepare(`
+            SELECT COUNT(*) + 1 AS position
+            FROM players
+            WHERE games >= ? AND rating > (SELECT rating FROM players WHERE auth = ?)
+        `);
+        return stmt.get(minGames, auth).position;
+    }
+
+    /**
+     * Store the rating changes of a match and update the players' ratings
+     * `changes` are [{ auth, before, after, delta }] from computeRatingChanges()
+     */
+    applyRatingChanges(matchId, changes) {
+        const insertHistory = this.db.prepare(`
+            INSERT INTO rating_history (match_id, player_auth, rating_before, rating_after, delta)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        const updateRating = this.db.prepare('UPDATE players SET rating = ? WHERE auth = ?');
+
+        const applyTransaction = this.db.transaction(() => {
+            for (const change of changes) {
+                insertHistory.run(matchId, change.auth, change.before, change.after, change.delta);
+                updateRating.run(change.after, change.auth);
+            }
+        });
+        applyTransaction();
+    }
+
+    /**
+     * Latest rating changes of a player, newest first
+     */
+    getRatingHistory(auth, limit = 5) {
+        const stmt = this.db.prepare(`
+            SELECT rh.*, m.score_red, m.score_blue, m.timestamp
+            FROM rating_history rh
+            JOIN matches m ON rh.match_id = m.id
+            WHERE rh.player_auth = ?
+            ORDER BY rh.id DESC
+            LIMIT ?
+        `);
+        return stmt.all(auth, limit);
     }
 
     /**
@@ -237,23 +761,39 @@ export class StatsDatabase {
      */
     saveMatch(matchData) {
         const insertMatch = this.db.prepare(`
-            INSERT INTO matches (score_red, score_blue, duration)
-            VALUES (?, ?, ?)
+            INSERT INTO matches (score_red, score_blue, duration, stadium, balance_mode, possession_red, season_id)
+            VALUES (?, ?, ?, ?, ?, ?, (SELECT id FROM seasons WHERE ended_at IS NULL ORDER BY id DESC LIMIT 1))
         `);
 
         const insertPlayer = this.db.prepare(`
-            INSERT INTO match_players (match_id, player_auth, team, goals, assists)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO match_players (match_id, player_auth, team, goals, assists, seconds_played, abandoned, credited,
+                                       possession_time, passes_completed, passes_intercepted, shots, shots_on_target)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        const insertEvent = this.db.prepare(`
+            INSERT INTO match_events (match_id, team, scorer_auth, assister_auth, own_goal, time, score_red, score_blue)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
         // Transaction for atomicity
         const saveTransaction = this.db.transaction((data) => {
-            const result = insertMatch.run(data.scoreRed, data.scoreBlue, data.duration);
+            const possessionRed = data.possessionRed === undefined ? null : data.possessionRed;
+            const result = insertMatch.run(data.scoreRed, data.scoreBlue, data.duration, data.stadium || null,
+                data.balanceMode || null, possessionRed);
             const matchId = result.lastInsertRowid;
 
             // Save all players
             for (const player of data.players) {
-                insertPlayer.run(matchId, player.auth, player.team, player.goals, player.assists);
+                insertPlayer.run(matchId, player.auth, player.team, player.goals, player.assists,
+                    player.secondsPlayed || 0, player.abandoned ? 1 : 0, player.credited === false ? 0 : 1, player.possessionTime || 0, player.passesCompleted || 0, player.passesIntercepted || 0,
+                    player.shots || 0, player.shotsOnTarget || 0);
+            }
+
+            // Save goals in the order they were scored
+            for (const event of data.events || []) {
+                insertEvent.run(matchId, event.team, event.scorerAuth, event.assisterAuth, event.ownGoal ? 1 : 0,
+                    event.time, event.scoreRed, event.scoreBlue);
             }
 
             return matchId;
@@ -268,7 +808,7 @@ export class StatsDatabase {
     getLastMatch() {
         const stmt = this.db.prepare(`
             SELECT * FROM matches
-            ORDER BY timestamp DESC
+            ORDER BY timestamp DESC, id DESC
             LIMIT 1
         `);
         const match = stmt.get();
@@ -286,10 +826,309 @@ export class StatsDatabase {
 
         return {
             ...match,
-            players
+            players,
+            events: this.getMatchEvents(match.id)
         };
     }
 
+    /**
+     * Link a stored replay file to a match
+     */
+    setMatchReplay(matchId, filename) {
+        this.db.prepare('UPDATE matches SET replay_file = ? WHERE id = ?').run(filename, matchId);
+    }
+
+    /**
+     * Unlink replays that were deleted from disk (by filename)
+     */
+    clearMatchReplays(filenames) {
+        const stmt = this.db.prepare('UPDATE matches SET replay_file = NULL WHERE replay_file = ?');
+        const clearTransaction = this.db.transaction(() => {
+            for (const filename of filenames) {
+                stmt.run(filename);
+            }
+        });
+        clearTransaction();
+    }
+
+    /**
+     * Filenames of all replays linked to a match
+     */
+    listReplayFiles() {
+        return this.db.prepare('SELECT replay_file FROM matches WHERE replay_file IS NOT NULL').all().map(row => row.replay_file);
+    }
+
+    /**
+     * Matches that have a replay, newest first
+     */
+    listReplayMatches(limit = 50) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM matches
+            WHERE replay_file IS NOT NULL
+            ORDER BY id DESC
+            LIMIT ?
+        `);
+        return stmt.all(limit);
+    }
+
+    /**
+     * Get a match by id with its players and goal timeline, or null
+     */
+    getMatch(matchId) {
+        const match = this.db.prepare('SELECT * FROM matches WHERE id = ?').get(matchId);
+        if (!match) return null;
+
+        const players = this.db.prepare(`
+            SELECT mp.*, p.name
+            FROM match_players mp
+            JOIN players p ON mp.player_auth = p.auth
+            WHERE mp.match_id = ?
+        `).all(match.id);
+
+        return {
+            ...match,
+            players,
+            events: this.getMatchEvents(match.id)
+        };
+    }
+
+    /**
+     * Matches newest first, with their rosters
+     * `filters`: { player (auth), from / to (dates, "YYYY-MM-DD" includes the whole day), scoreRed, scoreBlue,
+     * minDuration / maxDuration (seconds) } - all optional
+     * Returns { total, matches }
+     */
+    listMatches(filters = {}, { limit = 20, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.player) {
+            conditions.push('id IN (SELECT match_id FROM match_players WHERE player_auth = ? AND credited = 1)');
+            params.push(filters.player);
+        }
+        if (filters.from) {
+            conditions.push('timestamp >= datetime(?)');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            // A bare date means "until the end of that day"
+            conditions.push(filters.to.length === 10 ? "timestamp < datetime(?, '+1 day')" : 'timestamp <= datetime(?)');
+            params.push(filters.to);
+        }
+        if (filters.scoreRed !== undefined && filters.scoreRed !== null) {
+            conditions.push('score_red = ?');
+            params.push(filters.scoreRed);
+        }
+        if (filters.scoreBlue !== undefined && filters.scoreBlue !== null) {
+            conditions.push('score_blue = ?');
+            params.push(filters.scoreBlue);
+        }
+        if (filters.minDuration !== undefined && filters.minDuration !== null) {
+            conditions.push('duration >= ?');
+            params.push(filters.minDuration);
+        }
+        if (filters.maxDuration !== undefined && filters.maxDuration !== null) {
+            conditions.push('duration <= ?');
+            params.push(filters.maxDuration);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const total = this.db.prepare(`SELECT COUNT(*) AS count FROM matches ${where}`).get(...params).count;
+        const matches = this.db.prepare(`
+            SELECT * FROM matches
+            ${where}
+            ORDER BY timestamp DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, limit, offset);
+
+        if (matches.length === 0) {
+            return { total, matches };
+        }
+
+        // Rosters of the whole page in one query
+        const players = this.db.prepare(`
+            SELECT mp.*, p.name
+            FROM match_players mp
+            JOIN players p ON mp.player_auth = p.auth
+            WHERE mp.match_id IN (${matches.map(() => '?').join(', ')})
+        `).all(...matches.map(m => m.id));
+
+        return {
+            total,
+            matches: matches.map(match => ({
+                ...match,
+                players: players.filter(p => p.match_id === match.id),
+            })),
+        };
+    }
+
+    /**
+     * Goals of a match in the order they were scored, with scorer/assister names
+     */
+    getMatchEvents(matchId) {
+        const stmt = this.db.prepare(`
+            SELECT e.*, s.name AS scorer_name, a.name AS assister_name
+            FROM match_events e
+            LEFT JOIN players s ON e.scorer_auth = s.auth
+            LEFT JOIN players a ON e.assister_auth = a.auth
+            WHERE e.match_id = ?
+            ORDER BY e.id
+        `);
+        return stmt.all(matchId);
+    }
+
+    /**
+     * Record of `auth` in matches against `opponentAuth` (opposite teams), from `auth`'s side
+     * Returns { games, wins, draws, losses, goals, opponent_goals }
+     */
+    getHeadToHead(auth, opponentAuth) {
+        const stmt = this.db.prepare(`
+            SELECT COUNT(*) AS games, ${OUTCOME_COLUMNS},
+                   COALESCE(SUM(a.goals), 0) AS goals, COALESCE(SUM(b.goals), 0) AS opponent_goals
+            FROM match_players a
+            JOIN match_players b ON b.match_id = a.match_id AND b.player_auth = ? AND b.team != a.team AND b.credited = 1
+            JOIN matches m ON m.id = a.match_id
+            WHERE a.player_auth = ? AND a.credited = 1
+        `);
+        return stmt.get(opponentAuth, auth);
+    }
+
+    /**
+     * Record of `auth` and `partnerAuth` in matches they played in the same team
+     * Returns { games, wins, draws, losses, goals, partner_goals, assists_between }
+     * `assists_between` counts goals one of them scored from the other's pass
+     */
+    getDuo(auth, partnerAuth) {
+        const stmt = this.db.prepare(`
+            SELECT COUNT(*) AS games, ${OUTCOME_COLUMNS},
+                   COALESCE(SUM(a.goals), 0) AS goals, COALESCE(SUM(b.goals), 0) AS partner_goals,
+                   (SELECT COUNT(*) FROM match_events e
+                    WHERE e.own_goal = 0
+                      AND ((e.scorer_auth = ? AND e.assister_auth = ?) OR (e.scorer_auth = ? AND e.assister_auth = ?))
+                   ) AS assists_between
+            FROM match_players a
+            JOIN match_players b ON b.match_id = a.match_id AND b.player_auth = ? AND b.team = a.team AND b.credited = 1
+            JOIN matches m ON m.id = a.match_id
+            WHERE a.player_auth = ? AND a.credited = 1
+        `);
+        return stmt.get(auth, partnerAuth, partnerAuth, auth, partnerAuth, auth);
+    }
+
+    /**
+     * Teammates `auth` wins most with (at least `minGames` games together), best win rate first
+     * Returns [{ auth, name, games, wins, draws, losses, win_rate }], draws count as half a win
+     */
+    getBestPartners(auth, limit = 3, minGames = 3) {
+        const stmt = this.db.prepare(`
+            SELECT b.player_auth AS auth, p.name, COUNT(*) AS games, ${OUTCOME_COLUMNS}
+            FROM match_players a
+            JOIN match_players b ON b.match_id = a.match_id AND b.team = a.team AND b.player_auth != a.player_auth AND b.credited = 1
+            JOIN matches m ON m.id = a.match_id
+            JOIN players p ON p.auth = b.player_auth
+            WHERE a.player_auth = ? AND a.credited = 1
+            GROUP BY b.player_auth
+            HAVING COUNT(*) >= ?
+            ORDER BY (wins + draws * 0.5) * 1.0 / COUNT(*) DESC, games DESC
+            LIMIT ?
+        `);
+        return stmt.all(auth, minGames, limit).map(partner => ({
+            ...partner,
+            win_rate: Math.round((partner.wins + partner.draws * 0.5) / partner.games * 1000) / 10,
+        }));
+    }
+
+    /**
+     * Add a ban, `minutes` null/0 = permanent
+     * Returns the new ban row
+     */
+    addBan({ auth = null, conn = null, name = null, reason = null, bannedBy = null, minutes = null }) {
+        if (!auth && !conn) {
+            throw new Error('A ban needs an auth or a conn');
+        }
+
+        const stmt = this.db.prepare(`
+            INSERT INTO bans (auth, conn, name, reason, banned_by, expires_at)
+            VALUES (?, ?, ?, ?, ?, CASE WHEN ? > 0 THEN datetime('now', '+' || ? || ' minutes') END)
+        `);
+        const result = stmt.run(auth, conn, name, reason, bannedBy, minutes || 0, minutes || 0);
+        return this.db.prepare('SELECT * FROM bans WHERE id = ?').get(result.lastInsertRowid);
+    }
+
+    /**
+     * Find an active (not expired) ban matching the auth or conn, or undefined
+     */
+    findActiveBan(auth, conn) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM bans
+            WHERE ((auth IS NOT NULL AND auth = ?) OR (conn IS NOT NULL AND conn = ?))
+              AND (expires_at IS NULL OR expires_at > datetime('now'))
+            ORDER BY expires_at IS NULL DESC, expires_at DESC
+            LIMIT 1
+        `);
+        return stmt.get(auth, conn);
+    }
+
+    /**
+     * List active bans, newest first (expired bans are removed)
+     */
+    listBans() {
+        const removed = this.db.prepare(`DELETE FROM bans WHERE expires_at IS NOT NULL AND expires_at <= datetime('now')`).run();
+        if (removed.changes > 0) {
+            console.log(`[DB] Removed ${removed.changes} expired ban(s)`);
+        }
+        return this.db.prepare('SELECT * FROM bans ORDER BY created_at DESC, id DESC').all();
+    }
+
+    /**
+     * Remove a ban, returns the removed row or undefined if it didn't exist
+     */
+    removeBan(id) {
+        const ban = this.db.prepare('SELECT * FROM bans WHERE id = ?').get(id);
+        if (ban) {
+            this.db.prepare('DELETE FROM bans WHERE id = ?').run(id);
+        }
+        return ban;
+    }
+
+    /**
+     * Get the role of a player ('player' when none was given)
+     */
+    getRole(auth) {
+        const row = this.db.prepare('SELECT role FROM roles WHERE auth = ?').get(auth);
+        return row ? row.role : 'player';
+    }
+
+    /**
+     * Give a player a role, 'player' removes their role
+     */
+    setRole(auth, role, grantedBy = null) {
+        if (role === 'player') {
+            this.db.prepare('DELETE FROM roles WHERE auth = ?').run(auth);
+            return;
+        }
+
+        this.db.prepare(`
+            INSERT INTO roles (auth, role, granted_by, updated_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(auth) DO UPDATE SET
+                role = excluded.role,
+                granted_by = excluded.granted_by,
+                updated_at = CURRENT_TIMESTAMP
+        `).run(auth, role, grantedBy);
+    }
+
+    /**
+     * List players with a role (with their last known name)
+     */
+    listRoles() {
+        return this.db.prepare(`
+            SELECT r.*, p.name
+            FROM roles r
+            LEFT JOIN players p ON r.auth = p.auth
+            ORDER BY CASE r.role WHEN 'owner' THEN 0 WHEN 'moderator' THEN 1 ELSE 2 END, p.name
+        `).all();
+    }
+
     /**
      * Clear all statistics (delete all data from tables)
      */
@@ -299,9 +1138,14 @@ export class StatsDatabase {
         console.log('[DB] Backup successful, proceeding with clear stats');
 
         const clearTransaction = this.db.transaction(() => {
+            this.db.exec('DELETE FROM rating_history');
+            this.db.exec('DELETE FROM season_players');
+            this.db.exec('DELETE FROM match_events');
             this.db.exec('DELETE FROM match_players');
             this.db.exec('DELETE FROM matches');
+            this.db.exec('DELETE FROM seasons');
             this.db.exec('DELETE FROM players');
+            this.db.exec(`INSERT INTO seasons (name) VALUES ('Sezon 1')`);
         });
 
         clearTransaction();
@@ -331,8 +1175,14 @@ export class StatsDatabase {
             const testAuths = testPlayers.map(p => p.auth);
             const placeholders = testAuths.map(() => '?').join(',');
 
-            // Delete from match_players
+            // Delete from match_players, rating_history and season_players
             this.db.prepare(`DELETE FROM match_players WHERE player_auth IN (${placeholders})`).run(...testAuths);
+            this.db.prepare(`DELETE FROM rating_history WHERE player_auth IN (${placeholders})`).run(...testAuths);
+            this.db.prepare(`DELETE FROM season_players WHERE player_auth IN (${placeholders})`).run(...testAuths);
+
+            // Goals stay in the timeline of the remaining matches, without the player
+            this.db.prepare(`UPDATE match_events SET scorer_auth = NULL WHERE scorer_auth IN (${placeholders})`).run(...testAuths);
+            this.db.prepare(`UPDATE match_events SET assister_auth = NULL WHERE assister_auth IN (${placeholders})`).run(...testAuths);
 
             // Delete matches where all players were test players
             this.db.exec(`
@@ -346,6 +1196,8 @@ export class StatsDatabase {
                 )
             `);
 
+            this.db.exec('DELETE FROM match_events WHERE match_id NOT IN (SELECT id FROM matches)');
+
             // Delete test players
             this.db.prepare(`DELETE FROM players WHERE auth IN (${placeholders})`).run(...testAuths);
 
@@ -378,8 +1230,14 @@ export class StatsDatabase {
 
             const playerAuth = player.auth;
 
-            // Delete from match_players
+            // Delete from match_players, rating_history and season_players
             this.db.prepare(`DELETE FROM match_players WHERE player_auth = ?`).run(playerAuth);
+            this.db.prepare(`DELETE FROM rating_history WHERE player_auth = ?`).run(playerAuth);
+            this.db.prepare(`DELETE FROM season_players WHERE player_auth = ?`).run(playerAuth);
+
+            // Goals stay in the timeline of the remaining matches, without the player
+            this.db.prepare(`UPDATE match_events SET scorer_auth = NULL WHERE scorer_auth = ?`).run(playerAuth);
+            this.db.prepare(`UPDATE match_events SET assister_auth = NULL WHERE assister_auth = ?`).run(playerAuth);
 
             // Delete matches where this was the only player
             this.db.exec(`
@@ -392,6 +1250,8 @@ export class StatsDatabase {
                 )
             `);
 
+            this.db.exec('DELETE FROM match_events WHERE match_id NOT IN (SELECT id FROM matches)');
+
             // Delete the player
             this.db.prepare(`DELETE FROM players WHERE auth = ?`).run(playerAuth);
 
@@ -1,2 +1,9 @@
 export { StatsDatabase } from './database.mjs';
 export { HaxballStatsTracker } from './tracker.mjs';
+export { ATTRIBUTION_CONFIG, createGoalAttribution } from './attribution.mjs';
+export { BALANCE_CONFIG, playerStrength, splitTeams } from './balance.mjs';
+export { RATING_CONFIG, computeRatingChanges } from './rating.mjs';
+export { PARTICIPATION_CONFIG, isCredited } from './participation.mjs';
+export { ANALYTICS_CONFIG, createMatchAnalytics } from './analytics.mjs';
+export { REPLAY_CONFIG, ReplayStore } from './replays.mjs';
+export { LEADERBOARD_CATEGORIES, LEADERBOARD_CONFIG, findLeaderboardCategory, getLeaderboardPage } from './leaderboards.mjs';
@@ -0,0 +1,114 @@
+/**
+ * Leaderboard categories - one ranking engine behind !rank and the HTTP leaderboard
+ *
+ * `expression` is the SQL value players are ranked by (columns of the players table).
+ * Ratio categories only rank players with a minimum number of games, otherwise
+ * one lucky match would top the table.
+ */
+
+export const LEADERBOARD_CONFIG = {
+    PAGE_SIZE: 10,             // players per page in !rank and the HTTP leaderboard
+    MAX_PAGE_SIZE: 50,         // largest page the HTTP leaderboard returns
+    RATIO_MIN_GAMES: 5,        // win rate and goals per game need this many games
+    RATING_MIN_GAMES: 3,       // rating (and the !elo position) needs this many games
+};
+
+export const LEADERBOARD_CATEGORIES = {
+    rating: {
+        aliases: ['elo'],
+        label: 'rating',
+        expression: 'rating',
+        minGames: config => config.RATING_MIN_GAMES,
+        format: value => `${Math.round(value)}`,
+    },
+    goals: {
+        aliases: ['gole', 'bramki'],
+        label: 'bramki',
+        expression: 'goals',
+        format: value => `${value}`,
+    },
+    assists: {
+        aliases: ['asysty'],
+        label: 'asysty',
+        expression: 'assists',
+        format: value => `${value}`,
+    },
+    wins: {
+        aliases: ['wygrane'],
+        label: 'wygrane',
+        expression: 'wins',
+        format: value => `${value}`,
+    },
+    winrate: {
+        aliases: ['wr'],
+        label: 'win rate',
+        // Draws count as half a win, same as calculateWinRate()
+        expression: '(wins + draws * 0.5) * 100.0 / NULLIF(wins + losses + draws, 0)',
+        minGames: config => config.RATIO_MIN_GAMES,
+        format: value => (value === null ? '-' : `${value.toFixed(1)}%`),
+    },
+    gpg: {
+        aliases: ['goalspergame'],
+        label: 'bramki/mecz',
+        expression: 'goals * 1.0 / games',
+        minGames: config => config.RATIO_MIN_GAMES,
+        format: value => value.toFixed(2),
+    },
+    cleansheets: {
+        aliases: ['cs'],
+        label: 'clean sheets',
+        expression: 'clean_sheets',
+        format: value => `${value}`,
+    },
+    streak: {
+        aliases: ['seria', 'beststreak'],
+        label: 'najlepsza seria',
+        expression: 'best_streak',
+        format: value => `${value}`,
+    },
+};
+
+/**
+ * Category key for a name or alias typed by a player (case-insensitive), null if unknown
+ */
+export function findLeaderboardCategory(name) {
+    const wanted = String(name).toLowerCase();
+    for (const [key, category] of Object.entries(LEADERBOARD_CATEGORIES)) {
+        if (key === wanted || category.aliases.includes(wanted)) {
+            return key;
+        }
+    }
+    return null;
+}
+
+/**
+ * Minimum games a player needs to appear in a category
+ */
+export function leaderboardMinGames(key, config = LEADERBOARD_CONFIG) {
+    const category = LEADERBOARD_CATEGORIES[key];
+    return category.minGames ? category.minGames(config) : 1;
+}
+
+/**
+ * One page of a category from a StatsDatabase - shared by !rank and the HTTP leaderboards
+ * Returns { category, label, minGames, page, pages, total, players: [{ position, auth, name, games, value, formatted }] }
+ */
+export function getLeaderboardPage(db, category = 'rating', page = 1, pageSize = LEADERBOARD_CONFIG.PAGE_SIZE) {
+    const { label, format } = LEADERBOARD_CATEGORIES[category];
+    const minGames = leaderboardMinGames(category);
+    const { total, players } = db.getLeaderboard(category, {
+        minGames,
+        limit: pageSize,
+        offset: (page - 1) * pageSize,
+    });
+
+    return {
+        category,
+        label,
+        minGames,
+        page,
+        pages: Math.max(1, Math.ceil(total / pageSize)),
+        total,
+        players: players.map(player => ({ ...player, formatted: format(player.value) })),
+    };
+}
@@ -0,0 +1,28 @@
+/**
+ * Match participation - which players of a match are credited with it (the game, W/L/D,
+ * clean sheet and rating) and which only keep their partial stats
+ *
+ * The tracker applies isCredited() when a match ends, migration 13 in stats/database.mjs
+ * applies the same rule in SQL to matches saved before match_players.credited existed.
+ */
+
+export const PARTICIPATION_CONFIG = {
+    MIN_PARTICIPATION: 0.25,        // share of the match a player must play to get the game, W/L/D and rating
+    COUNT_LEAVES: true,             // players who quit mid-match get a "leaves" stat and, above the share below, their team's result
+    MIN_LEAVER_PARTICIPATION: 0.1,  // lower than MIN_PARTICIPATION, so quitting a lost match doesn't escape the loss,
+                                    // but a leaver who was there for a few seconds isn't credited
+};
+
+/**
+ * Share of the match a player needs to be credited with it, `abandoned` = they quit the room mid-match
+ */
+export function minParticipation(abandoned, config = PARTICIPATION_CONFIG) {
+    return abandoned && config.COUNT_LEAVES ? config.MIN_LEAVER_PARTICIPATION : config.MIN_PARTICIPATION;
+}
+
+/**
+ * Whether a player who played `seconds` of a `duration` second match is credited with it
+ */
+export function isCredited({ seconds, duration, abandoned }, config = PARTICIPATION_CONFIG) {
+    return seconds >= duration * minParticipation(abandoned, config);
+}
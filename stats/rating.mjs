@@ -0,0 +1,47 @@
+/**
+ * Team Elo rating - every player of a team gains or loses rating depending on
+ * how the match ended compared to what the average team ratings predicted
+ */
+
+export const RATING_CONFIG = {
+    INITIAL_RATING: 1000,      // new players (and everyone when ratings were introduced)
+    K_FACTOR: 32,              // max change per match for established players
+    PROVISIONAL_K_FACTOR: 64,  // newcomers move faster until they reach their level
+    PROVISIONAL_GAMES: 10,     // games played before the regular K factor is used
+    SCALE: 400,                // 400 points difference = 10:1 expected odds
+};
+
+function teamRating(players) {
+    return players.reduce((sum, p) => sum + p.rating, 0) / players.length;
+}
+
+/**
+ * Rating changes for one match
+ * `red` / `blue` are [{ auth, rating, games }] (games played before this match)
+ * Returns [{ auth, team, before, after, delta }], empty if a team had no rated players
+ */
+export function computeRatingChanges({ red, blue, scoreRed, scoreBlue }, config = RATING_CONFIG) {
+    if (red.length === 0 || blue.length === 0) return [];
+
+    const redRating = teamRating(red);
+    const blueRating = teamRating(blue);
+    const redExpected = 1 / (1 + Math.pow(10, (blueRating - redRating) / config.SCALE));
+    const redScore = scoreRed > scoreBlue ? 1 : (scoreRed < scoreBlue ? 0 : 0.5);
+
+    const change = (player, team, expected, score) => {
+        const k = player.games < config.PROVISIONAL_GAMES ? config.PROVISIONAL_K_FACTOR : config.K_FACTOR;
+        const delta = Math.round(k * (score - expected) * 10) / 10;
+        return {
+            auth: player.auth,
+            team,
+            before: player.rating,
+            after: Math.round((player.rating + delta) * 10) / 10,
+            delta,
+        };
+    };
+
+    return [
+        ...red.map(p => change(p, 1, redExpected, redScore)),
+        ...blue.map(p => change(p, 2, 1 - redExpected, 1 - redScore)),
+    ];
+}
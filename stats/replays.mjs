@@ -0,0 +1,124 @@
+import { randomBytes } from 'crypto';
+import { mkdirSync, readdirSync, statSync, unlinkSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+// match_<id>_<random>.hbr2 - match ids are reused after clearing stats or restoring a backup,
+// the random part keeps an old file from passing for a new match (match_<id>.hbr2 is the old naming)
+const REPLAY_FILE_PATTERN = /^match_(\d+)(?:_[0-9a-f]{8})?\.hbr2$/;
+
+export const REPLAY_CONFIG = {
+    MAX_REPLAYS: 200,                    // oldest replays are deleted above this many
+    MAX_REPLAY_SIZE: 20 * 1024 * 1024,   // 20 MB - longer recordings are not stored
+};
+
+/**
+ * ReplayStore - .hbr2 match recordings stored as files named after their match id,
+ * linked to their match by matches.replay_file
+ */
+export class ReplayStore {
+    constructor(dir, config = REPLAY_CONFIG) {
+        this.dir = dir;
+        this.config = config;
+    }
+
+    static fileNameFor(matchId) {
+        return `match_${matchId}_${randomBytes(4).toString('hex')}.hbr2`;
+    }
+
+    pathFor(filename) {
+        if (!REPLAY_FILE_PATTERN.test(filename)) {
+            throw new Error('Invalid replay filename');
+        }
+        return join(this.dir, filename);
+    }
+
+    /**
+     * List stored replays, newest first
+     */
+    list() {
+        let files;
+        try {
+            files = readdirSync(this.dir);
+        } catch (e) {
+            // Directory doesn't exist yet
+            return [];
+        }
+
+        return files
+            .filter(file => REPLAY_FILE_PATTERN.test(file))
+            .map(filename => {
+                const stats = statSync(join(this.dir, filename));
+                return {
+                    filename,
+                    matchId: Number(filename.match(REPLAY_FILE_PATTERN)[1]),
+                    size: stats.size,
+                    createdAt: stats.mtime,
+                };
+            })
+            .sort((a, b) => b.createdAt - a.createdAt || b.matchId - a.matchId);
+    }
+
+    /**
+     * Store the recording of a match, returns its filename
+     */
+    save(matchId, data) {
+        if (data.length > this.config.MAX_REPLAY_SIZE) {
+            throw new Error(`Replay is larger than ${this.config.MAX_REPLAY_SIZE / 1024 / 1024} MB`);
+        }
+
+        const filename = ReplayStore.fileNameFor(matchId);
+        mkdirSync(this.dir, { recursive: true });
+        writeFileSync(this.pathFor(filename), data);
+        return filename;
+    }
+
+    /**
+     * Delete replay files, returns the filenames that were deleted
+     */
+    remove(filenames) {
+        const removed = [];
+        for (const filename of filenames) {
+            try {
+                unlinkSync(this.pathFor(filename));
+                removed.push(filename);
+            } catch (e) {
+                console.error(`[Replays] Could not delete ${filename}:`, e.message);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Bring the files back in line with matches.replay_file in `db` after matches were deleted or replaced:
+     * links to files that are gone are cleared, with `deleteUnlinked` files no match links to are deleted
+     * (after a restore they are kept - the safety backup still links them - and pruned by age later)
+     */
+    reconcile(db, { deleteUnlinked = false } = {}) {
+        const linked = new Set(db.listReplayFiles());
+        const stored = this.list().map(replay => replay.filename);
+        const storedSet = new Set(stored);
+
+        const missing = [...linked].filter(filename => !storedSet.has(filename));
+        if (missing.length > 0) {
+            db.clearMatchReplays(missing);
+            console.log(`[Replays] Unlinked ${missing.length} missing replay(s)`);
+        }
+        if (deleteUnlinked) {
+            const removed = this.remove(stored.filter(filename => !linked.has(filename)));
+            if (removed.length > 0) {
+                console.log(`[Replays] Deleted ${removed.length} replay(s) of deleted matches`);
+            }
+        }
+    }
+
+    /**
+     * Delete the oldest replays above the retention limit, returns their filenames
+     */
+    prune() {
+        const removed = this.remove(this.list().slice(this.config.MAX_REPLAYS).map(replay => replay.filename));
+        if (removed.length > 0) {
+            console.log(`[Replays] Removed ${removed.length} old replay(s)`);
+        }
+        return removed;
+    }
+}
@@ -1,18 +1,38 @@
+import { dirname, join } from 'path';
 import { StatsDatabase } from './database.mjs';
-
+import { LEADERBOARD_CATEGORIES, LEADERBOARD_CONFIG, findLeaderboardCategory, getLeaderboardPage, leaderboardMinGames } from './leaderboards.mjs';
+import { PARTICIPATION_CONFIG, isCredited } from './participation.mjs';
+import { computeRatingChanges } from './rating.mjs';
+import { ReplayStore } from './replays.mjs';
+
+// Goal/assist timing lives in ATTRIBUTION_CONFIG (stats/attribution.mjs),
+// !rank pages and minimum games in LEADERBOARD_CONFIG (stats/leaderboards.mjs),
+// who is credited with a match in PARTICIPATION_CONFIG (stats/participation.mjs)
 const CONFIG = {
-    ASSIST_TIME_WINDOW: 5000,  // 5 seconds in ms
-    RANK_LIMIT: 10,            // top 10 in !rank
+    RANK_LIMIT: 10,            // top 10 in !rank season
+    RANK_MIN_GAMES: 3,         // players need this many games for the season table and the title
+    ELO_HISTORY: 5,            // rating changes shown in !elo
+    SEASONS_LIMIT: 5,          // past seasons shown in !seasons
+    PARTNERS_LIMIT: 3,         // best partners shown in !stats
+    HISTORY_LIMIT: 5,          // matches shown in !history and !mymatches
+    HISTORY_MAX: 10,           // largest n accepted by !history n
+    PARTNER_MIN_GAMES: 3,      // games together before a teammate can be a best partner
 };
 
 /**
  * HaxballStatsTracker - main stats tracking and integration class
  */
 export class HaxballStatsTracker {
-    constructor(page, dbPath) {
-        this.page = page;
+    /**
+     * @param driver room driver (PlaywrightDriver or SimulatedDriver) used to expose callbacks to the room script
+     */
+    constructor(driver, dbPath) {
+        this.driver = driver;
         this.db = new StatsDatabase(dbPath);
+        this.replays = new ReplayStore(join(dirname(dbPath), 'replays'));
         this.currentMatch = null;
+        this.adminCommandHandler = null; // { commands, handler } set by haxball.mjs
+        this.eventListener = null;       // (event, data) => void set by haxball.mjs (webhooks)
     }
 
     /**
@@ -23,28 +43,32 @@ export class HaxballStatsTracker {
         this.db.initialize();
 
         // Expose functions to browser context
-        await this.page.exposeFunction('statsOnPlayerJoin', (auth, name) => {
+        await this.driver.exposeFunction('statsOnPlayerJoin', (auth, name) => {
             this.handlePlayerJoin(auth, name);
         });
 
-        await this.page.exposeFunction('statsOnPlayerLeave', (auth) => {
-            this.handlePlayerLeave(auth);
+        await this.driver.exposeFunction('statsOnPlayerLeave', (auth, time) => {
+            this.handlePlayerLeave(auth, time);
+        });
+
+        await this.driver.exposeFunction('statsOnPlayerTeamChange', (auth, name, team, time) => {
+            this.handlePlayerTeamChange(auth, name, team, time);
         });
 
-        await this.page.exposeFunction('statsOnGameStart', (players) => {
+        await this.driver.exposeFunction('statsOnGameStart', (players) => {
             this.handleGameStart(players);
         });
 
-        await this.page.exposeFunction('statsOnGameStop', (matchResult) => {
+        await this.driver.exposeFunction('statsOnGameStop', (matchResult) => {
             this.handleGameStop(matchResult);
         });
 
-        await this.page.exposeFunction('statsOnTeamGoal', (team, scorer, assister) => {
-            this.handleTeamGoal(team, scorer, assister);
+        await this.driver.exposeFunction('statsOnTeamGoal', (team, scorer, assister, goalInfo) => {
+            this.handleTeamGoal(team, scorer, assister, goalInfo);
         });
 
-        await this.page.exposeFunction('statsOnPlayerChat', (auth, message) => {
-            return this.handlePlayerChat(auth, message);
+        await this.driver.exposeFunction('statsOnPlayerChat', (auth, message, playerId) => {
+            return this.handlePlayerChat(auth, message, playerId);
         });
 
         console.log('📊 Stats tracker initialized successfully');
@@ -59,13 +83,61 @@ export class HaxballStatsTracker {
     }
 
     /**
-     * Handle player leave
+     * Handle player leave, `time` is the match clock (null when no game is running)
      */
-    handlePlayerLeave(auth) {
+    handlePlayerLeave(auth, time = null) {
         const player = this.db.getPlayer(auth);
         if (player) {
             console.log(`[Stats] Player left: ${player.name}`);
         }
+
+        if (this.currentMatch && time !== null) {
+            // Quitting from a team abandons the match, leaving from the spectators doesn't
+            const participation = this.currentMatch.participation[auth];
+            if (participation && participation.since !== null) {
+                participation.left = true;
+            }
+            this.endParticipation(auth, time);
+        }
+    }
+
+    /**
+     * Handle a player moving to another team (or to spectators) during a match
+     */
+    handlePlayerTeamChange(auth, name, team, time) {
+        if (!this.currentMatch) return;
+
+        this.endParticipation(auth, time);
+        if (team === 1 || team === 2) {
+            const participation = this.participationOf(auth, name);
+            participation.team = team;
+            participation.since = time;
+            participation.left = false; // Came back
+        }
+    }
+
+    /**
+     * Time played in the current match: { name, team, since, seconds: { 1, 2 }, left }
+     * `since` is the match clock when the player joined `team`, null while not in a team
+     * `left` is set when the player quit the room from a team and didn't come back
+     */
+    participationOf(auth, name) {
+        const participation = this.currentMatch.participation;
+        if (!participation[auth]) {
+            participation[auth] = { name, team: null, since: null, seconds: { 1: 0, 2: 0 }, left: false };
+        }
+        return participation[auth];
+    }
+
+    /**
+     * Add the time since the player joined their team and take them out of it
+     */
+    endParticipation(auth, time) {
+        const participation = this.currentMatch.participation[auth];
+        if (!participation || participation.since === null) return;
+
+        participation.seconds[participation.team] += Math.max(0, time - participation.since);
+        participation.since = null;
     }
 
     /**
@@ -75,27 +147,51 @@ export class HaxballStatsTracker {
         this.currentMatch = {
             startTime: Date.now(),
             players: players, // { auth, name, team }[]
-            playerStats: {}, // { auth: { goals, assists, startTime } }
+            playerStats: {}, // { auth: { goals, assists } }
+            participation: {}, // { auth: { name, team, since, seconds } }, see participationOf()
+            events: [], // goals in order, saved to match_events
         };
 
-        // Initialize player stats for this match
+        // Everyone in a team at kickoff plays from 0:00
         for (const player of players) {
-            this.currentMatch.playerStats[player.auth] = {
-                goals: 0,
-                assists: 0,
-                startTime: Date.now(),
-            };
+            this.currentMatch.playerStats[player.auth] = { goals: 0, assists: 0 };
+            const participation = this.participationOf(player.auth, player.name);
+            participation.team = player.team;
+            participation.since = 0;
         }
 
         console.log(`[Stats] Match started with ${players.length} players`);
     }
 
+    /**
+     * Goals and assists in the current match (players who joined mid-match start at 0)
+     */
+    matchStatsOf(auth) {
+        if (!this.currentMatch.playerStats[auth]) {
+            this.currentMatch.playerStats[auth] = { goals: 0, assists: 0 };
+        }
+        return this.currentMatch.playerStats[auth];
+    }
+
     /**
      * Handle team goal
+     * goalInfo: { time, scoreRed, scoreBlue } - match clock and score after the goal (null if unknown)
      */
-    handleTeamGoal(team, scorer, assister) {
+    handleTeamGoal(team, scorer, assister, goalInfo = null) {
         if (!this.currentMatch) return;
 
+        const event = {
+            team,
+            scorerAuth: scorer ? scorer.auth : null,
+            assisterAuth: assister ? assister.auth : null,
+            ownGoal: Boolean(scorer && scorer.team !== team),
+            time: goalInfo ? goalInfo.time : null,
+            scoreRed: goalInfo ? goalInfo.scoreRed : null,
+            scoreBlue: goalInfo ? goalInfo.scoreBlue : null,
+        };
+        this.currentMatch.events.push(event);
+        this.emitEvent('match.goal', this.goalEventData(event));
+
         if (!scorer) {
             console.log(`[Stats] Goal - Team: ${team}, Scorer: UNKNOWN (no ball touches recorded), Assister: N/A`);
             return; // Can't attribute goal to anyone
@@ -114,17 +210,13 @@ export class HaxballStatsTracker {
                 console.log(`[Stats] Own goal by ${scorer.name}`);
             } else {
                 // Regular goal
-                if (this.currentMatch.playerStats[scorer.auth]) {
-                    this.currentMatch.playerStats[scorer.auth].goals++;
-                }
+                this.matchStatsOf(scorer.auth).goals++;
             }
         }
 
         // Update assister stats
         if (assister) {
-            if (this.currentMatch.playerStats[assister.auth]) {
-                this.currentMatch.playerStats[assister.auth].assists++;
-            }
+            this.matchStatsOf(assister.auth).assists++;
         }
     }
 
@@ -134,8 +226,11 @@ export class HaxballStatsTracker {
     handleGameStop(matchResult) {
         if (!this.currentMatch) return;
 
-        const { scoreRed, scoreBlue, redPlayers, bluePlayers } = matchResult;
-        const duration = Math.floor((Date.now() - this.currentMatch.startTime) / 1000);
+        const { scoreRed, scoreBlue, stadium, balanceMode, analytics, replay, time } = matchResult;
+        // Match clock from the room (pauses don't count), wall clock for rooms that don't send it
+        const duration = typeof time === 'number'
+            ? Math.floor(time)
+            : Math.floor((Date.now() - this.currentMatch.startTime) / 1000);
 
         console.log(`[Stats] Match ended: Red ${scoreRed} - ${scoreBlue} Blue (${duration}s)`);
 
@@ -151,101 +246,268 @@ export class HaxballStatsTracker {
             redOutcome = blueOutcome = 'draw';
         }
 
+        // Time played by everyone who was in a team at some point of the match.
+        // A player belongs to the team they played longest for (the last one on a tie); the game,
+        // W/L/D, clean sheet and rating count only for credited players (stats/participation.mjs).
+        // Leavers keep their partial stats and, past a smaller share, can't escape the result by quitting
+        for (const auth of Object.keys(this.currentMatch.participation)) {
+            this.endParticipation(auth, typeof time === 'number' ? time : duration);
+        }
+        const participants = Object.entries(this.currentMatch.participation).map(([auth, p]) => {
+            const seconds = Math.round(p.seconds[1] + p.seconds[2]);
+            let team = p.team;
+            if (p.seconds[1] !== p.seconds[2]) {
+                team = p.seconds[1] > p.seconds[2] ? 1 : 2;
+            }
+            return {
+                auth,
+                name: p.name,
+                team,
+                seconds,
+                abandoned: p.left,
+                credited: isCredited({ seconds, duration, abandoned: p.left }),
+            };
+        });
+        const leavers = participants.filter(p => p.abandoned);
+        if (leavers.length > 0) {
+            console.log(`[Stats] Abandoned by: ${leavers.map(p => p.name).join(', ')}`);
+        }
+        const redPlayers = participants.filter(p => p.credited && p.team === 1);
+        const bluePlayers = participants.filter(p => p.credited && p.team === 2);
+
+        // Ratings before this match (players without a row in the database are not rated)
+        const ratedPlayers = (players) => players
+            .map(p => this.db.getPlayer(p.auth))
+            .filter(Boolean)
+            .map(p => ({ auth: p.auth, rating: p.rating, games: p.games }));
+        const ratingChanges = computeRatingChanges({
+            red: ratedPlayers(redPlayers),
+            blue: ratedPlayers(bluePlayers),
+            scoreRed,
+            scoreBlue,
+        });
+
+        // Possession, passes and shots from the room's analytics engine (stats/analytics.mjs)
+        const noAnalytics = { possession: 0, passesCompleted: 0, passesIntercepted: 0, shots: 0, shotsOnTarget: 0 };
+        const analyticsOf = (auth) => (analytics && analytics.players[auth]) || noAnalytics;
+        const totalPossession = analytics ? analytics.possession.red + analytics.possession.blue : 0;
+        const possessionRed = totalPossession > 0
+            ? Math.round(analytics.possession.red / totalPossession * 1000) / 10
+            : null;
+
         // Check clean sheets
         const redCleanSheet = scoreBlue === 0 && redOutcome === 'win';
         const blueCleanSheet = scoreRed === 0 && blueOutcome === 'win';
 
         // Update player statistics
-        const updatePlayerMatchStats = (playerAuth, team, outcome, cleanSheet) => {
-            const matchStats = this.currentMatch.playerStats[playerAuth] || { goals: 0, assists: 0 };
-            const player = this.db.getPlayer(playerAuth);
+        const updatePlayerMatchStats = (participant) => {
+            const matchStats = this.currentMatch.playerStats[participant.auth] || { goals: 0, assists: 0 };
+            const player = this.db.getPlayer(participant.auth);
             if (!player) return;
 
+            const playerAnalytics = analyticsOf(participant.auth);
             const updates = {
-                games: 1,
                 goals: matchStats.goals,
                 assists: matchStats.assists,
-                minutes_played: Math.floor(duration / 60),
+                seconds_played: participant.seconds,
+                possession_time: playerAnalytics.possession,
+                passes_completed: playerAnalytics.passesCompleted,
+                passes_intercepted: playerAnalytics.passesIntercepted,
+                shots: playerAnalytics.shots,
+                shots_on_target: playerAnalytics.shotsOnTarget,
             };
 
-            // Win/Loss/Draw
-            if (outcome === 'win') {
-                updates.wins = 1;
-                const newStreak = player.current_streak + 1;
-                updates.current_streak = newStreak;
-                if (newStreak > player.best_streak) {
-                    updates.best_streak = newStreak;
-                }
-            } else if (outcome === 'loss') {
-                updates.losses = 1;
-                updates.current_streak = 0; // Reset streak
-            } else {
-                updates.draws = 1;
-                updates.current_streak = 0; // Draw also resets streak
+            if (participant.abandoned && PARTICIPATION_CONFIG.COUNT_LEAVES) {
+                updates.leaves = 1;
             }
 
-            // Clean sheet
-            if (cleanSheet) {
-                updates.clean_sheets = 1;
+            if (participant.credited) {
+                const outcome = participant.team === 1 ? redOutcome : blueOutcome;
+                updates.games = 1;
+
+                // Win/Loss/Draw
+                if (outcome === 'win') {
+                    updates.wins = 1;
+                    const newStreak = player.current_streak + 1;
+                    updates.current_streak = newStreak;
+                    if (newStreak > player.best_streak) {
+                        updates.best_streak = newStreak;
+                    }
+                } else if (outcome === 'loss') {
+                    updates.losses = 1;
+                    updates.current_streak = 0; // Reset streak
+                } else {
+                    updates.draws = 1;
+                    updates.current_streak = 0; // Draw also resets streak
+                }
+
+                // Clean sheet
+                if (participant.team === 1 ? redCleanSheet : blueCleanSheet) {
+                    updates.clean_sheets = 1;
+                }
             }
 
-            this.db.updatePlayerStats(playerAuth, updates);
+            this.db.updatePlayerStats(participant.auth, updates);
         };
 
         // Update all players
-        for (const player of redPlayers) {
-            updatePlayerMatchStats(player.auth, 1, redOutcome, redCleanSheet);
-        }
-        for (const player of bluePlayers) {
-            updatePlayerMatchStats(player.auth, 2, blueOutcome, blueCleanSheet);
+        for (const participant of participants) {
+            updatePlayerMatchStats(participant);
         }
 
         // Save match to database
-        const matchPlayers = [];
-        for (const player of redPlayers) {
-            const stats = this.currentMatch.playerStats[player.auth] || { goals: 0, assists: 0 };
-            matchPlayers.push({
-                auth: player.auth,
-                team: 1,
+        const matchPlayers = participants.map(participant => {
+            const stats = this.currentMatch.playerStats[participant.auth] || { goals: 0, assists: 0 };
+            const playerAnalytics = analyticsOf(participant.auth);
+            return {
+                auth: participant.auth,
+                team: participant.team,
                 goals: stats.goals,
                 assists: stats.assists,
-            });
+                secondsPlayed: participant.seconds,
+                abandoned: participant.abandoned,
+                credited: participant.credited,
+                possessionTime: playerAnalytics.possession,
+                passesCompleted: playerAnalytics.passesCompleted,
+                passesIntercepted: playerAnalytics.passesIntercepted,
+                shots: playerAnalytics.shots,
+                shotsOnTarget: playerAnalytics.shotsOnTarget,
+            };
+        });
+
+        const matchId = this.db.saveMatch({
+            scoreRed,
+            scoreBlue,
+            duration,
+            stadium,
+            balanceMode,
+            possessionRed,
+            players: matchPlayers,
+            events: this.currentMatch.events,
+        });
+
+        if (replay) {
+            this.saveReplay(matchId, replay);
         }
-        for (const player of bluePlayers) {
-            const stats = this.currentMatch.playerStats[player.auth] || { goals: 0, assists: 0 };
-            matchPlayers.push({
-                auth: player.auth,
-                team: 2,
-                goals: stats.goals,
-                assists: stats.assists,
-            });
+
+        this.db.applyRatingChanges(matchId, ratingChanges);
+        if (ratingChanges.length > 0) {
+            console.log(`[Stats] Rating changes: ${ratingChanges.map(c => `${c.auth} ${c.delta >= 0 ? '+' : ''}${c.delta}`).join(', ')}`);
         }
 
-        this.db.saveMatch({
+        this.emitEvent('match.ended', {
+            matchId,
             scoreRed,
             scoreBlue,
             duration,
-            players: matchPlayers,
+            stadium: stadium || null,
+            players: participants.map((participant, i) => ({
+                auth: participant.auth,
+                name: participant.name,
+                team: participant.team,
+                goals: matchPlayers[i].goals,
+                assists: matchPlayers[i].assists,
+                secondsPlayed: participant.seconds,
+                abandoned: participant.abandoned,
+            })),
+            goals: this.currentMatch.events.map(event => this.goalEventData(event)),
         });
 
         // Reset current match
         this.currentMatch = null;
     }
 
+    /**
+     * Store a match recording (base64 .hbr2 from the room) and apply the retention limit
+     * A replay that can't be stored is logged, the match itself is already saved
+     */
+    saveReplay(matchId, replay) {
+        try {
+            const filename = this.replays.save(matchId, Buffer.from(replay, 'base64'));
+            this.db.setMatchReplay(matchId, filename);
+            console.log(`[Stats] Replay saved: ${filename}`);
+
+            const removed = this.replays.prune();
+            if (removed.length > 0) {
+                this.db.clearMatchReplays(removed);
+            }
+        } catch (error) {
+            console.error(`[Stats] Could not save replay of match ${matchId}:`, error.message);
+        }
+    }
+
+    /**
+     * Route in-room admin commands (room/roles.mjs) to `handler(auth, playerId, message)`
+     * The handler checks the player's role and controls the room
+     */
+    setAdminCommandHandler(commands, handler) {
+        this.adminCommandHandler = { commands, handler };
+    }
+
+    /**
+     * Receive match events (`match.goal`, `match.ended`) as `listener(event, data)`
+     */
+    setEventListener(listener) {
+        this.eventListener = listener;
+    }
+
+    /**
+     * Pass an event to the listener - its failures are logged, never break stats recording
+     */
+    emitEvent(event, data) {
+        if (!this.eventListener) return;
+        try {
+            this.eventListener(event, data);
+        } catch (error) {
+            console.error(`[Stats] Event listener failed for ${event}:`, error.message);
+        }
+    }
+
+    /**
+     * Goal of the current match as sent to event listeners, players as { auth, name }
+     */
+    goalEventData(event) {
+        const playerOf = (auth) => {
+            if (!auth) return null;
+            const participation = this.currentMatch.participation[auth];
+            const player = participation ? null : this.db.getPlayer(auth);
+            return { auth, name: participation ? participation.name : (player ? player.name : auth) };
+        };
+        return {
+            team: event.team,
+            scorer: playerOf(event.scorerAuth),
+            assister: playerOf(event.assisterAuth),
+            ownGoal: event.ownGoal,
+            time: event.time,
+            scoreRed: event.scoreRed,
+            scoreBlue: event.scoreBlue,
+        };
+    }
+
     /**
      * Handle player chat - process commands
      */
-    handlePlayerChat(auth, message) {
+    handlePlayerChat(auth, message, playerId) {
         const msg = message.trim();
 
+        // Admin commands (!kick, !ban, !swap, ...)
+        const command = msg.split(' ')[0].toLowerCase();
+        if (this.adminCommandHandler && this.adminCommandHandler.commands.includes(command)) {
+            return this.adminCommandHandler.handler(auth, playerId, msg);
+        }
+
         // !help
         if (msg === '!help') {
             return this.formatHelp();
         }
 
-        // !stats [player] or !me
+        // !stats [player] [season] or !me
         if (msg.startsWith('!stats') || msg === '!me') {
             const args = msg.split(' ');
+            const seasonOnly = args.length > 1 && args[args.length - 1].toLowerCase() === 'season';
+            if (seasonOnly) {
+                args.pop();
+            }
             let targetPlayer;
 
             if (msg === '!me' || args.length === 1) {
@@ -261,13 +523,82 @@ export class HaxballStatsTracker {
                 return '❌ Gracz nie znaleziony';
             }
 
+            if (seasonOnly) {
+                const season = this.db.getCurrentSeason();
+                const seasonPlayer = this.db.getSeasonPlayer(season.id, targetPlayer.auth);
+                if (!seasonPlayer) {
+                    return `❌ ${targetPlayer.name}: brak meczów (${season.name})`;
+                }
+                return this.formatSeasonStats(season, seasonPlayer);
+            }
+
             return this.formatStats(targetPlayer);
         }
 
-        // !rank
-        if (msg === '!rank') {
-            const topPlayers = this.db.getTopPlayers(CONFIG.RANK_LIMIT);
-            return this.formatRank(topPlayers);
+        // !elo [player]
+        if (msg === '!elo' || msg.startsWith('!elo ')) {
+            const playerName = msg.slice('!elo'.length).trim();
+            const targetPlayer = playerName ? this.db.getPlayerByName(playerName) : this.db.getPlayer(auth);
+
+            if (!targetPlayer) {
+                return '❌ Gracz nie znaleziony';
+            }
+
+            return this.formatElo(targetPlayer);
+        }
+
+        // !vs <player> / !duo <player>
+        if (msg.startsWith('!vs') || msg.startsWith('!duo')) {
+            const [command, ...nameParts] = msg.split(' ');
+            if (command === '!vs' || command === '!duo') {
+                const playerName = nameParts.join(' ').trim();
+                if (!playerName) {
+                    return `❌ Użycie: ${command} <nick>`;
+                }
+
+                const player = this.db.getPlayer(auth);
+                const other = this.db.getPlayerByName(playerName);
+                if (!player || !other) {
+                    return '❌ Gracz nie znaleziony';
+                }
+                if (other.auth === player.auth) {
+                    return '❌ Wybierz innego gracza';
+                }
+
+                return command === '!vs'
+                    ? this.formatHeadToHead(player, other, this.db.getHeadToHead(player.auth, other.auth))
+                    : this.formatDuo(player, other, this.db.getDuo(player.auth, other.auth));
+            }
+        }
+
+        // !rank season
+        if (msg === '!rank season') {
+            const season = this.db.getCurrentSeason();
+            const standings = this.db.getSeasonStandings(season.id, CONFIG.RANK_LIMIT, CONFIG.RANK_MIN_GAMES);
+            return this.formatSeasonRank(season, standings);
+        }
+
+        // !rank [category] [page]
+        if (msg === '!rank' || msg.startsWith('!rank ')) {
+            let category = 'rating';
+            let page = 1;
+            for (const arg of msg.split(/\s+/).slice(1)) {
+                if (/^\d+$/.test(arg)) {
+                    page = Math.max(1, Number(arg));
+                } else {
+                    category = findLeaderboardCategory(arg);
+                    if (!category) {
+                        return `❌ Nieznana kategoria: ${arg}. Dostępne: ${Object.keys(LEADERBOARD_CATEGORIES).join(', ')}`;
+                    }
+                }
+            }
+
+            return this.formatRank(this.getLeaderboard(category, page));
+        }
+
+        // !seasons
+        if (msg === '!seasons') {
+            return this.formatSeasons(this.db.listSeasons());
         }
 
         // !last
@@ -279,15 +610,48 @@ export class HaxballStatsTracker {
             return this.formatLastMatch(lastMatch);
         }
 
+        // !history [n]
+        if (msg === '!history' || msg.startsWith('!history ')) {
+            const arg = msg.slice('!history'.length).trim();
+            const count = arg ? Number(arg) : CONFIG.HISTORY_LIMIT;
+            if (!Number.isInteger(count) || count < 1) {
+                return '❌ Użycie: !history [liczba meczów]';
+            }
+
+            const { matches } = this.db.listMatches({}, { limit: Math.min(count, CONFIG.HISTORY_MAX) });
+            return this.formatHistory(matches);
+        }
+
+        // !match <id>
+        if (msg === '!match' || msg.startsWith('!match ')) {
+            const matchId = Number(msg.slice('!match'.length).trim().replace(/^#/, ''));
+            if (!Number.isInteger(matchId) || matchId < 1) {
+                return '❌ Użycie: !match <id>';
+            }
+
+            const match = this.db.getMatch(matchId);
+            if (!match) {
+                return `❌ Mecz #${matchId} nie istnieje`;
+            }
+            return this.formatLastMatch(match, `Mecz #${match.id}`);
+        }
+
+        // !mymatches
+        if (msg === '!mymatches') {
+            const { matches } = this.db.listMatches({ player: auth }, { limit: CONFIG.HISTORY_LIMIT });
+            return this.formatMyMatches(auth, matches);
+        }
+
         return null; // Not a stats command
     }
 
     /**
-     * Format time played from minutes to human-readable format
+     * Format time played from seconds to human-readable format
      */
-    formatTimePlayed(minutes) {
-        if (minutes === 0) return '0m';
+    formatTimePlayed(seconds) {
+        if (seconds < 60) return `${seconds}s`;
 
+        const minutes = Math.floor(seconds / 60);
         const days = Math.floor(minutes / 1440); // 1440 minutes in a day
         const hours = Math.floor((minutes % 1440) / 60);
         const mins = minutes % 60;
@@ -296,6 +660,7 @@ export class HaxballStatsTracker {
         if (days > 0) parts.push(`${days}d`);
         if (hours > 0) parts.push(`${hours}h`);
         if (mins > 0) parts.push(`${mins}m`);
+        if (days === 0 && hours === 0 && seconds % 60 > 0) parts.push(`${seconds % 60}s`);
 
         return parts.join(' ');
     }
@@ -306,40 +671,231 @@ export class HaxballStatsTracker {
     formatStats(player) {
         const winRate = this.calculateWinRate(player);
         const goalsPerGame = player.games > 0 ? (player.goals / player.games).toFixed(2) : '0.00';
-        const timePlayed = this.formatTimePlayed(player.minutes_played);
+        const timePlayed = this.formatTimePlayed(player.seconds_played);
 
         return `📊 Statystyki: ${player.name}
 ⚽ Bramki: ${player.goals} | Asysty: ${player.assists} | Samobóje: ${player.own_goals}
-🎮 Mecze: ${player.games} (${player.wins}W-${player.losses}L-${player.draws}D) | Win Rate: ${winRate}%
+🎮 Mecze: ${player.games} (${player.wins}W-${player.losses}L-${player.draws}D) | Win Rate: ${winRate}% | Wyjścia: ${player.leaves}
 🏆 Clean Sheets: ${player.clean_sheets} | Czas gry: ${timePlayed}
-📈 Streak: ${player.current_streak} (best: ${player.best_streak}) | Goals/Match: ${goalsPerGame}`;
+📈 Streak: ${player.current_streak} (best: ${player.best_streak}) | Goals/Match: ${goalsPerGame}
+${this.formatPlayStyle(player)}
+⭐ Rating: ${Math.round(player.rating)}${this.formatBestPartners(player)}`;
     }
 
     /**
-     * Format ranking for display
+     * Format the player's best partners as an extra !stats line (empty without enough games together)
      */
-    formatRank(players) {
-        if (players.length === 0) {
+    formatBestPartners(player) {
+        const partners = this.db.getBestPartners(player.auth, CONFIG.PARTNERS_LIMIT, CONFIG.PARTNER_MIN_GAMES);
+        if (partners.length === 0) return '';
+
+        return `\n🤝 Najlepsi partnerzy: ${partners.map(p => `${p.name} (${p.win_rate.toFixed(1)}%, ${p.games})`).join(', ')}`;
+    }
+
+    /**
+     * Format `player`'s record against `opponent` for display
+     */
+    formatHeadToHead(player, opponent, record) {
+        if (record.games === 0) {
+            return `❌ Brak meczów: ${player.name} vs ${opponent.name}`;
+        }
+
+        return `⚔️ ${player.name} vs ${opponent.name}
+🎮 Mecze: ${record.games} (${record.wins}W-${record.losses}L-${record.draws}D) | Win Rate: ${this.calculateWinRate(record)}%
+⚽ Bramki: ${record.goals} - ${record.opponent_goals}`;
+    }
+
+    /**
+     * Format the record of `player` and `partner` in the same team for display
+     */
+    formatDuo(player, partner, record) {
+        if (record.games === 0) {
+            return `❌ Brak wspólnych meczów: ${player.name} + ${partner.name}`;
+        }
+
+        return `🤝 ${player.name} + ${partner.name}
+🎮 Mecze razem: ${record.games} (${record.wins}W-${record.losses}L-${record.draws}D) | Win Rate: ${this.calculateWinRate(record)}%
+⚽ Bramki: ${record.goals} + ${record.partner_goals} | Wspólne akcje (gol + asysta): ${record.assists_between}`;
+    }
+
+    /**
+     * Format shots, passes and possession (all-time or season row)
+     */
+    formatPlayStyle(player) {
+        const passes = player.passes_completed + player.passes_intercepted;
+        const passAccuracy = passes > 0 ? ` (${Math.round(player.passes_completed / passes * 100)}%)` : '';
+        const possessionPerGame = player.games > 0 ? Math.round(player.possession_time / player.games) : 0;
+
+        return `🎯 Strzały: ${player.shots} (celne: ${player.shots_on_target}) | Podania: ${player.passes_completed}/${passes}${passAccuracy} | Posiadanie: ${possessionPerGame}s/mecz`;
+    }
+
+    /**
+     * Format a leaderboard page from getLeaderboard() for display
+     */
+    formatRank(board) {
+        if (board.total === 0) {
             return '❌ Brak graczy w rankingu';
         }
+        if (board.players.length === 0) {
+            return `❌ Strona ${board.page} nie istnieje (stron: ${board.pages})`;
+        }
+
+        const minGames = board.minGames > 1 ? `, min. ${this.formatGamesCount(board.minGames)}` : '';
+        let output = board.page === 1
+            ? `🏆 TOP ${board.players.length} (${board.label}${minGames}):\n`
+            : `🏆 Ranking (${board.label}${minGames}) - strona ${board.page}/${board.pages}:\n`;
+        board.players.forEach(player => {
+            output += `${player.position}. ${player.name} - ${player.formatted} (${this.formatGamesCount(player.games)})\n`;
+        });
 
-        let output = `🏆 TOP ${Math.min(players.length, CONFIG.RANK_LIMIT)} STRZELCÓW:\n`;
+        return output.trim();
+    }
+
+    /**
+     * "1 mecz", "3 mecze", "5 meczów"
+     */
+    formatGamesCount(count) {
+        const lastDigit = count % 10;
+        const lastTwoDigits = count % 100;
+        if (count === 1) return '1 mecz';
+        if (lastDigit >= 2 && lastDigit <= 4 && (lastTwoDigits < 12 || lastTwoDigits > 14)) return `${count} mecze`;
+        return `${count} meczów`;
+    }
+
+    /**
+     * Format one player's stats for a season
+     */
+    formatSeasonStats(season, player) {
+        const winRate = this.calculateWinRate(player);
+        const timePlayed = this.formatTimePlayed(player.seconds_played);
+
+        return `📊 ${season.name}: ${player.name}
+⚽ Bramki: ${player.goals} | Asysty: ${player.assists} | Samobóje: ${player.own_goals}
+🎮 Mecze: ${player.games} (${player.wins}W-${player.losses}L-${player.draws}D) | Win Rate: ${winRate}% | Wyjścia: ${player.leaves}
+🏆 Punkty: ${player.points} | Clean Sheets: ${player.clean_sheets} | Czas gry: ${timePlayed}
+${this.formatPlayStyle(player)}`;
+    }
+
+    /**
+     * Format season standings for display
+     */
+    formatSeasonRank(season, players) {
+        if (players.length === 0) {
+            return `❌ Brak graczy w tabeli sezonu ${season.name} (min. ${CONFIG.RANK_MIN_GAMES} mecze)`;
+        }
+
+        let output = `🏆 ${season.name} - TOP ${players.length} (pkt, min. ${CONFIG.RANK_MIN_GAMES} mecze):\n`;
         players.forEach((player, index) => {
-            const goals = player.goals === 1 ? 'gol' : (player.goals < 5 ? 'gole' : 'goli');
-            output += `${index + 1}. ${player.name} - ${player.goals} ${goals}\n`;
+            output += `${index + 1}. ${player.name} - ${player.points} pkt (${player.wins}W-${player.losses}L-${player.draws}D)\n`;
         });
 
         return output.trim();
     }
 
     /**
-     * Format last match for display
+     * Format the current season and past champions for display
      */
-    formatLastMatch(match) {
+    formatSeasons(seasons) {
+        const [current, ...past] = seasons;
+        let output = `📅 Aktualny sezon: ${current.name} (od ${current.started_at.slice(0, 10)}, ${current.matches} meczów)`;
+
+        if (past.length === 0) {
+            return output;
+        }
+
+        output += '\n🏆 Mistrzowie:';
+        past.slice(0, CONFIG.SEASONS_LIMIT).forEach(season => {
+            output += `\n${season.name}: ${season.champion_name || 'brak'}`;
+        });
+
+        return output;
+    }
+
+    /**
+     * Format rating and recent rating changes for display
+     */
+    formatElo(player) {
+        const minGames = leaderboardMinGames('rating');
+        const position = player.games >= minGames
+            ? `#${this.db.getRatingPosition(player.auth, minGames)} w rankingu`
+            : `ranking od ${minGames} meczów`;
+
+        let output = `📈 Rating: ${player.name}\n⭐ ${Math.round(player.rating)} (${position})`;
+
+        const history = this.db.getRatingHistory(player.auth, CONFIG.ELO_HISTORY);
+        if (history.length > 0) {
+            const deltas = history.map(h => `${h.delta >= 0 ? '+' : ''}${h.delta.toFixed(1)}`).join(', ');
+            output += `\n📊 Ostatnie mecze: ${deltas}`;
+        }
+
+        return output;
+    }
+
+    /**
+     * Format match results, newest first, one line per match for !history
+     */
+    formatHistory(matches) {
+        if (matches.length === 0) {
+            return '❌ Brak zapisanych meczów';
+        }
+
+        let output = '📜 Ostatnie mecze:';
+        for (const match of matches) {
+            output += `\n#${match.id} 🔴 ${match.score_red} - ${match.score_blue} 🔵 | ${this.formatMatchInfo(match)}`;
+        }
+        return output + '\n🔎 Szczegóły: !match <id>';
+    }
+
+    /**
+     * Format a player's recent matches with their result for !mymatches
+     */
+    formatMyMatches(auth, matches) {
+        if (matches.length === 0) {
+            return '❌ Brak twoich meczów';
+        }
+
+        let output = '📜 Twoje ostatnie mecze:';
+        for (const match of matches) {
+            const me = match.players.find(p => p.player_auth === auth);
+            const ownScore = me.team === 1 ? match.score_red : match.score_blue;
+            const otherScore = me.team === 1 ? match.score_blue : match.score_red;
+            const result = ownScore > otherScore ? '✅ W' : (ownScore < otherScore ? '❌ L' : '➖ D');
+            const abandoned = me.abandoned ? ' 🚪' : '';
+            output += `\n#${match.id} ${result} ${ownScore}-${otherScore} (⚽ ${me.goals} 🅰️ ${me.assists})${abandoned} | ${this.formatMatchInfo(match)}`;
+        }
+        return output;
+    }
+
+    /**
+     * Date (UTC, as stored) and duration of a match, e.g. "17.10 21:34, 5:02"
+     */
+    formatMatchInfo(match) {
+        const date = match.timestamp ? `${match.timestamp.slice(8, 10)}.${match.timestamp.slice(5, 7)} ${match.timestamp.slice(11, 16)}, ` : '';
+        const duration = `${Math.floor(match.duration / 60)}:${String(match.duration % 60).padStart(2, '0')}`;
+        return `${date}${duration}`;
+    }
+
+    /**
+     * Format a match for display (!last, !match)
+     */
+    formatLastMatch(match, title = 'Ostatni mecz') {
         const redPlayers = match.players.filter(p => p.team === 1);
         const bluePlayers = match.players.filter(p => p.team === 2);
 
-        let output = `🏁 Ostatni mecz: 🔴 Red ${match.score_red} - ${match.score_blue} Blue 🔵\n`;
+        let output = `🏁 ${title}: 🔴 Red ${match.score_red} - ${match.score_blue} Blue 🔵\n`;
+        if (match.stadium) {
+            output += `🏟️ Stadion: ${match.stadium}\n`;
+        }
+        if (match.balance_mode && match.balance_mode !== 'manual') {
+            output += `⚖️ Składy: ${match.balance_mode === 'auto' ? 'auto-balans' : '!balance'}\n`;
+        }
+        if (match.possession_red !== null && match.possession_red !== undefined) {
+            const shots = (players) => players.reduce((sum, p) => sum + p.shots, 0);
+            const onTarget = (players) => players.reduce((sum, p) => sum + p.shots_on_target, 0);
+            const possessionRed = Math.round(match.possession_red);
+            output += `📊 Posiadanie: 🔴 ${possessionRed}% - ${100 - possessionRed}% 🔵 | `
+                + `Strzały (celne): ${shots(redPlayers)} (${onTarget(redPlayers)}) - ${shots(bluePlayers)} (${onTarget(bluePlayers)})\n`;
+        }
 
         // Red scorers
         const redScorers = redPlayers.filter(p => p.goals > 0);
@@ -359,9 +915,35 @@ export class HaxballStatsTracker {
             output += `⚽ Strzelcy 🔵 Blue: Brak`;
         }
 
+        // Goal sequence (matches recorded before the timeline existed have no events)
+        if (match.events && match.events.length > 0) {
+            output += '\n📋 Przebieg:';
+            for (const event of match.events) {
+                output += `\n${this.formatGoalEvent(event)}`;
+            }
+        }
+
         return output;
     }
 
+    /**
+     * Format one goal of the timeline, e.g. "🔴 12' Kowalski (ast. Nowak) 1-0"
+     */
+    formatGoalEvent(event) {
+        const teamIcon = event.team === 1 ? '🔴' : '🔵';
+        const minute = event.time !== null ? `${Math.floor(event.time / 60) + 1}' ` : '';
+
+        let who = event.scorer_name || '?';
+        if (event.own_goal) {
+            who += ' (sam.)';
+        } else if (event.assister_name) {
+            who += ` (ast. ${event.assister_name})`;
+        }
+
+        const score = event.score_red !== null ? ` ${event.score_red}-${event.score_blue}` : '';
+        return `${teamIcon} ${minute}${who}${score}`;
+    }
+
     /**
      * Format help message for display
      */
@@ -370,8 +952,17 @@ export class HaxballStatsTracker {
 !help - pokazuje tę wiadomość
 !me - twoje statystyki
 !stats [nazwa] - statystyki gracza
-!rank - ranking top ${CONFIG.RANK_LIMIT} strzelców
-!last - wyniki ostatniego meczu`;
+!elo [nazwa] - rating i ostatnie zmiany
+!vs <nazwa> - twój bilans przeciwko graczowi
+!duo <nazwa> - twój bilans razem z graczem
+!rank [kategoria] [strona] - ranking (${Object.keys(LEADERBOARD_CATEGORIES).join(', ')})
+!rank season - tabela aktualnego sezonu
+!stats [nazwa] season - statystyki w aktualnym sezonie
+!seasons - aktualny sezon i mistrzowie poprzednich
+!last - wyniki ostatniego meczu
+!history [n] - ostatnie mecze
+!match <id> - szczegóły meczu
+!mymatches - twoje ostatnie mecze`;
     }
 
     /**
@@ -385,25 +976,57 @@ export class HaxballStatsTracker {
         return ((effectiveWins / totalGames) * 100).toFixed(1);
     }
 
+    /**
+     * One page of a leaderboard category, shared by !rank and the HTTP leaderboard
+     */
+    getLeaderboard(category = 'rating', page = 1, pageSize = LEADERBOARD_CONFIG.PAGE_SIZE) {
+        return getLeaderboardPage(this.db, category, page, pageSize);
+    }
+
     /**
      * Clear all statistics
      */
     async clearStats() {
         await this.db.clearStats();
+        this.replays.reconcile(this.db, { deleteUnlinked: true });
+    }
+
+    /**
+     * Close the current season and open a new one
+     */
+    startNewSeason(name = null) {
+        return HaxballStatsTracker.startNewSeason(this.db, name);
+    }
+
+    /**
+     * Same as startNewSeason() on any stats database connection, the admin panel starts seasons
+     * while the room (and so the tracker) is stopped too
+     */
+    static startNewSeason(db, name = null) {
+        const result = db.startNewSeason(name, CONFIG.RANK_MIN_GAMES);
+        if (result.closed) {
+            console.log(`[Stats] Season "${result.closed.name}" closed, champion: ${result.closed.champion_name || 'none'}`);
+        }
+        console.log(`[Stats] Season "${result.opened.name}" started`);
+        return result;
     }
 
     /**
      * Delete test players (names starting with ___test)
      */
     async deleteTestPlayers() {
-        return await this.db.deleteTestPlayers();
+        const deletedCount = await this.db.deleteTestPlayers();
+        this.replays.reconcile(this.db, { deleteUnlinked: true });
+        return deletedCount;
     }
 
     /**
      * Delete a specific player's stats by name
      */
     async deletePlayerStats(playerName) {
-        return await this.db.deletePlayerStats(playerName);
+        const result = await this.db.deletePlayerStats(playerName);
+        this.replays.reconcile(this.db, { deleteUnlinked: true });
+        return result;
     }
 
     /**
@@ -0,0 +1,227 @@
+import { randomBytes } from 'crypto';
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { buildWebhookPayload, signWebhookBody } from './payloads.mjs';
+
+// Retries back off exponentially: BASE_DELAY, 2x, 4x ... up to MAX_DELAY
+export const WEBHOOK_CONFIG = {
+    MAX_ATTEMPTS: 8,              // a delivery is dropped after this many failed attempts
+    BASE_DELAY: 5000,             // first retry after 5s, then doubled
+    MAX_DELAY: 15 * 60 * 1000,    // cap backoff at 15 minutes
+    REQUEST_TIMEOUT: 10000,
+    MAX_QUEUE: 500,               // oldest deliveries are dropped above this many
+};
+
+/**
+ * WebhookDispatcher - sends events to the targets of a WebhookStore
+ *
+ * Every delivery goes through a queue saved to `queuePath`, so deliveries that failed
+ * (target down, Discord rate limit) are retried with backoff and survive a server restart.
+ * 2xx = delivered, 4xx other than 408/429 = rejected by the target (not retried).
+ */
+export class WebhookDispatcher {
+    constructor(store, queuePath, config = WEBHOOK_CONFIG) {
+        this.store = store;
+        this.targets = null; // store.list() cache, see invalidate()
+        this.queuePath = queuePath;
+        this.config = config;
+        this.queue = this.loadQueue();
+        this.timer = null;
+        this.processing = false;
+        this.schedule();
+    }
+
+    /**
+     * Targets from the store, read from disk once and kept until invalidate()
+     */
+    getTargets() {
+        if (!this.targets) {
+            this.targets = this.store.list();
+        }
+        return this.targets;
+    }
+
+    /**
+     * Drop the cached targets - called after the admin panel saves or deletes a webhook
+     */
+    invalidate() {
+        this.targets = null;
+    }
+
+    loadQueue() {
+        try {
+            return JSON.parse(readFileSync(this.queuePath, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`[Webhooks] Could not read the delivery queue, starting empty: ${e.message}`);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Write the queue to disk (temp file + rename, same as the stores)
+     */
+    saveQueue() {
+        try {
+            mkdirSync(dirname(this.queuePath), { recursive: true });
+            const tmpPath = `${this.queuePath}.tmp`;
+            writeFileSync(tmpPath, JSON.stringify(this.queue));
+            renameSync(tmpPath, this.queuePath);
+        } catch (error) {
+            console.error(`[Webhooks] Could not save the delivery queue: ${error.message}`);
+        }
+    }
+
+    /**
+     * Queue `event` for every enabled target subscribed to it
+     * Never throws - a broken webhook config must not break the room
+     */
+    dispatch(event, data) {
+        let targets;
+        try {
+            targets = this.getTargets().filter(target => target.enabled && target.events.includes(event));
+        } catch (error) {
+            console.error(`[Webhooks] Could not dispatch ${event}: ${error.message}`);
+            return;
+        }
+        for (const target of targets) {
+            this.enqueue(target, event, data);
+        }
+    }
+
+    /**
+     * Queue a test delivery to one target, whatever events it is subscribed to
+     */
+    sendTest(id) {
+        const target = this.store.get(id);
+        if (!target) {
+            throw new Error(`Webhook ${id} not found`);
+        }
+        return this.enqueue(target, 'test', { message: `Test webhooka "${target.name}"` });
+    }
+
+    enqueue(target, event, data) {
+        const delivery = {
+            id: randomBytes(8).toString('hex'),
+            targetId: target.id,
+            event,
+            payload: buildWebhookPayload(target.format, event, data),
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+        };
+
+        this.queue.push(delivery);
+        if (this.queue.length > this.config.MAX_QUEUE) {
+            const dropped = this.queue.splice(0, this.queue.length - this.config.MAX_QUEUE);
+            console.error(`[Webhooks] Queue full, dropped ${dropped.length} oldest deliveries`);
+        }
+        this.saveQueue();
+        this.schedule();
+        return delivery;
+    }
+
+    /**
+     * Pending deliveries, oldest first
+     */
+    listQueue() {
+        return this.queue.map(({ payload, ...delivery }) => delivery);
+    }
+
+    /**
+     * Wake up for the next due delivery (the timer doesn't keep the process alive)
+     */
+    schedule() {
+        if (this.processing) return; // processQueue() reschedules when it's done
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.queue.length === 0) return;
+
+        const nextAt = Math.min(...this.queue.map(delivery => delivery.nextAttemptAt));
+        this.timer = setTimeout(() => this.processQueue(), Math.max(0, nextAt - Date.now()));
+        this.timer.unref();
+    }
+
+    async processQueue() {
+        if (this.processing) return;
+        this.processing = true;
+        try {
+            let delivery;
+            while ((delivery = this.queue.find(d => d.nextAttemptAt <= Date.now()))) {
+                await this.attempt(delivery);
+                this.saveQueue();
+            }
+        } finally {
+            this.processing = false;
+            this.schedule();
+        }
+    }
+
+    remove(delivery) {
+        this.queue = this.queue.filter(d => d !== delivery);
+    }
+
+    async attempt(delivery) {
+        const target = this.getTargets().find(target => target.id === delivery.targetId);
+        if (!target || !target.enabled) {
+            this.remove(delivery); // Deleted or disabled since the event
+            return;
+        }
+
+        delivery.attempts++;
+        try {
+            await this.send(target, delivery);
+            this.remove(delivery);
+            console.log(`[Webhooks] Delivered ${delivery.event} to "${target.name}"`);
+        } catch (error) {
+            delivery.lastError = error.message;
+            if (error.permanent || delivery.attempts >= this.config.MAX_ATTEMPTS) {
+                this.remove(delivery);
+                console.error(`[Webhooks] Giving up on ${delivery.event} to "${target.name}" after ${delivery.attempts} attempt(s): ${error.message}`);
+                return;
+            }
+
+            const backoff = Math.min(this.config.BASE_DELAY * 2 ** (delivery.attempts - 1), this.config.MAX_DELAY);
+            const delay = error.retryAfter !== undefined ? Math.min(error.retryAfter, this.config.MAX_DELAY) : backoff;
+            delivery.nextAttemptAt = Date.now() + delay;
+            console.error(`[Webhooks] ${delivery.event} to "${target.name}" failed (${error.message}), retry in ${Math.round(delay / 1000)}s`);
+        }
+    }
+
+    /**
+     * POST one delivery, throws on failure
+     * Errors carry `permanent` (don't retry) and `retryAfter` (ms, from a 429 Retry-After header)
+     */
+    async send(target, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'haxball-server-webhooks',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Timestamp': String(timestamp),
+        };
+        if (target.secret) {
+            headers['X-Webhook-Signature'] = signWebhookBody(target.secret, timestamp, body);
+        }
+
+        const response = await fetch(target.url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(this.config.REQUEST_TIMEOUT),
+        });
+        if (response.ok) return;
+
+        const error = new Error(`HTTP ${response.status}`);
+        error.permanent = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+        const retryAfter = Number(response.headers.get('retry-after'));
+        if (response.status === 429 && retryAfter > 0) {
+            error.retryAfter = retryAfter * 1000;
+        }
+        throw error;
+    }
+}
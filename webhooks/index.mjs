@@ -0,0 +1,3 @@
+export { WEBHOOK_EVENTS, WEBHOOK_FORMATS, WebhookStore } from './store.mjs';
+export { WEBHOOK_CONFIG, WebhookDispatcher } from './dispatcher.mjs';
+export { buildWebhookPayload, signWebhookBody } from './payloads.mjs';
@@ -0,0 +1,113 @@
+import { createHmac } from 'crypto';
+
+const TEAM_NAMES = { 1: 'Red', 2: 'Blue' };
+
+// Embed colors of the Discord format
+const COLORS = {
+    red: 0xe56e56,
+    blue: 0x5689e5,
+    draw: 0x9e9e9e,
+    open: 0x28a745,
+    stopped: 0x6c757d,
+    error: 0xdc3545,
+};
+
+const DISCORD_FIELD_LIMIT = 1024; // Discord rejects longer embed field values
+
+/**
+ * HMAC-SHA256 signature sent as `X-Webhook-Signature: sha256=<hex>`
+ * Signed text is `<X-Webhook-Timestamp>.<raw body>`, so a captured request can't be replayed later with a new timestamp
+ */
+export function signWebhookBody(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Request body for a target of the given format
+ * json:    { event, timestamp, data }
+ * discord: { embeds: [...] } - accepted as is by a Discord channel webhook URL
+ */
+export function buildWebhookPayload(format, event, data, timestamp = new Date().toISOString()) {
+    if (format === 'discord') {
+        return { embeds: [{ ...discordEmbed(event, data), timestamp }] };
+    }
+    return { event, timestamp, data };
+}
+
+function formatClock(seconds) {
+    const total = Math.floor(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function truncate(text) {
+    return text.length > DISCORD_FIELD_LIMIT ? `${text.slice(0, DISCORD_FIELD_LIMIT - 1)}…` : text;
+}
+
+function formatGoal(goal) {
+    const minute = goal.time !== null && goal.time !== undefined ? ` ${formatClock(goal.time)}` : '';
+    const scorer = goal.scorer ? goal.scorer.name : '?';
+    if (goal.ownGoal) {
+        return `${minute} ${scorer} (samobój)`.trim();
+    }
+    return `${minute} ${scorer}${goal.assister ? ` (asysta: ${goal.assister.name})` : ''}`.trim();
+}
+
+function formatRoster(players) {
+    if (players.length === 0) return '-';
+    return truncate(players
+        .map(p => `${p.name}${p.goals > 0 ? ` ⚽${p.goals > 1 ? `x${p.goals}` : ''}` : ''}${p.abandoned ? ' 🚪' : ''}`)
+        .join('\n'));
+}
+
+/**
+ * Discord embed (without timestamp) for an event
+ */
+function discordEmbed(event, data) {
+    switch (event) {
+        case 'room.link':
+            return {
+                title: '🟢 Pokój otwarty',
+                description: data.roomName ? `**${data.roomName}**\n${data.url}` : data.url,
+                url: data.url,
+                color: COLORS.open,
+            };
+        case 'room.stopped':
+            return { title: '🔴 Pokój zamknięty', description: data.reason, color: COLORS.stopped };
+        case 'room.error':
+            return { title: '⚠️ Błąd pokoju', description: data.reason, color: COLORS.error };
+        case 'match.goal': {
+            const teamName = TEAM_NAMES[data.team];
+            // The room doesn't always send the score with a goal, the line is left out then
+            const hasScore = Number.isInteger(data.scoreRed) && Number.isInteger(data.scoreBlue);
+            return {
+                title: `⚽ Gol dla ${teamName}!`,
+                description: `${formatGoal(data)}${hasScore ? `\nRed ${data.scoreRed} - ${data.scoreBlue} Blue` : ''}`,
+                color: data.team === 1 ? COLORS.red : COLORS.blue,
+            };
+        }
+        case 'match.ended': {
+            const { scoreRed, scoreBlue } = data;
+            const color = scoreRed > scoreBlue ? COLORS.red : (scoreBlue > scoreRed ? COLORS.blue : COLORS.draw);
+            const fields = [
+                { name: '🔴 Red', value: formatRoster(data.players.filter(p => p.team === 1)), inline: true },
+                { name: '🔵 Blue', value: formatRoster(data.players.filter(p => p.team === 2)), inline: true },
+            ];
+            if (data.goals.length > 0) {
+                fields.push({
+                    name: '⚽ Bramki',
+                    value: truncate(data.goals.map(goal => `${goal.team === 1 ? '🔴' : '🔵'} ${formatGoal(goal)}`).join('\n')),
+                });
+            }
+            const footer = [`Mecz #${data.matchId}`, formatClock(data.duration)];
+            if (data.stadium) footer.push(data.stadium);
+            return {
+                title: `🏁 Red ${scoreRed} - ${scoreBlue} Blue`,
+                color,
+                fields,
+                footer: { text: footer.join(' • ') },
+            };
+        }
+        default:
+            return { title: `🔔 ${event}`, description: data.message || '', color: COLORS.stopped };
+    }
+}
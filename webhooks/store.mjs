@@ -0,0 +1,126 @@
+import { randomBytes } from 'crypto';
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Events a webhook target can subscribe to
+ */
+export const WEBHOOK_EVENTS = [
+    'room.link',      // room opened (or reopened after a reconnect) - { url, roomName }
+    'room.stopped',   // room stopped by an admin - { reason }
+    'room.error',     // room stopped by a failure, or waiting for a new token after a reconnect - { reason }
+    'match.goal',     // goal scored - { team, scorer, assister, ownGoal, time, scoreRed, scoreBlue }
+    'match.ended',    // match saved - { matchId, scoreRed, scoreBlue, duration, stadium, players, goals }
+];
+
+/**
+ * Payload formats: plain JSON envelope, or a Discord embed for a Discord channel webhook URL
+ */
+export const WEBHOOK_FORMATS = ['json', 'discord'];
+
+/**
+ * WebhookStore - webhook targets kept in a JSON file in the data directory
+ * Target: { id, name, url, secret, format, events, enabled }
+ */
+export class WebhookStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * Read all targets from disk
+     */
+    load() {
+        try {
+            return JSON.parse(readFileSync(this.filePath, 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw new Error(`Could not read webhooks: ${e.message}`);
+        }
+    }
+
+    /**
+     * Write all targets to disk (write to temp file + rename so a crash can't truncate it)
+     */
+    save(targets) {
+        mkdirSync(dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        writeFileSync(tmpPath, JSON.stringify(targets, null, 2));
+        renameSync(tmpPath, this.filePath);
+    }
+
+    list() {
+        return this.load();
+    }
+
+    /**
+     * Get a single target, or null if it doesn't exist
+     */
+    get(id) {
+        return this.load().find(target => target.id === id) || null;
+    }
+
+    /**
+     * Create a target, or update the one with `id`
+     * An update without a secret keeps the stored one, an empty string removes it
+     */
+    put({ id = null, name, url, secret, format = 'json', events, enabled = true }) {
+        const targetName = typeof name === 'string' ? name.trim() : '';
+        if (!targetName || targetName.length > 40) {
+            throw new Error('Webhook name must be between 1 and 40 characters');
+        }
+
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (e) {
+            throw new Error('Webhook URL is not valid');
+        }
+        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+            throw new Error('Webhook URL must use http or https');
+        }
+        if (!WEBHOOK_FORMATS.includes(format)) {
+            throw new Error(`Format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+        }
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error('Choose at least one event');
+        }
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown events: ${unknown.join(', ')}`);
+        }
+
+        const targets = this.load();
+        const existing = id ? targets.find(target => target.id === id) : null;
+        if (id && !existing) {
+            throw new Error(`Webhook ${id} not found`);
+        }
+
+        const target = {
+            id: existing ? existing.id : randomBytes(6).toString('hex'),
+            name: targetName,
+            url: parsedUrl.toString(),
+            secret: secret === undefined || secret === null ? (existing ? existing.secret : '') : String(secret),
+            format,
+            events: WEBHOOK_EVENTS.filter(event => events.includes(event)),
+            enabled: Boolean(enabled),
+        };
+
+        this.save(existing ? targets.map(t => (t.id === target.id ? target : t)) : [...targets, target]);
+        console.log(`[Webhooks] Saved webhook "${target.name}" (${target.id})`);
+        return target;
+    }
+
+    /**
+     * Delete a target, returns false if it didn't exist
+     */
+    delete(id) {
+        const targets = this.load();
+        const remaining = targets.filter(target => target.id !== id);
+        if (remaining.length === targets.length) return false;
+
+        this.save(remaining);
+        console.log(`[Webhooks] Deleted webhook ${id}`);
+        return true;
+    }
+}